@@ -0,0 +1,107 @@
+// bench/throughput.js - Measures encode/decode throughput.
+// Usage: node bench/throughput.js [sizeInMiB=16] [rounds=5]
+//
+// Compares the current API with the original string-concatenating implementation
+// (kept below as `legacyEncode`/`legacyDecode`) on the same random data.
+
+import Base94Max from '../index.js';
+
+const sizeMiB = Number(process.argv[2] ?? 16);
+const rounds = Number(process.argv[3] ?? 5);
+
+// --- Original implementation (result += char, bytes.push + copy), for comparison ---
+const BASE = 94;
+const THRESHOLD = 643;
+const { encodeMap, decodeMap } = Base94Max.PRINTABLE;
+
+function legacyEncode(uint8Array) {
+    let bit_buf = 0;
+    let bit_count = 0;
+    let result = "";
+    for (let i = 0; i < uint8Array.length; i++) {
+        bit_buf |= uint8Array[i] << bit_count;
+        bit_count += 8;
+        while (bit_count >= 14) {
+            let block;
+            if ((bit_buf & 0x1FFF) > THRESHOLD) {
+                block = bit_buf & 0x1FFF;
+                bit_buf >>>= 13;
+                bit_count -= 13;
+            } else {
+                block = bit_buf & 0x3FFF;
+                bit_buf >>>= 14;
+                bit_count -= 14;
+            }
+            result += encodeMap[block % BASE];
+            result += encodeMap[Math.floor(block / BASE)];
+        }
+    }
+    if (bit_count > 0) {
+        result += encodeMap[bit_buf % BASE];
+        if (bit_buf >= BASE || bit_count > 8) {
+            result += encodeMap[Math.floor(bit_buf / BASE)];
+        }
+    }
+    return result;
+}
+
+function legacyDecode(inputString) {
+    let bit_buf = 0;
+    let bit_count = 0;
+    const bytes = [];
+    let symbol_buffer = -1;
+    for (let i = 0; i < inputString.length; i++) {
+        const charValue = decodeMap[inputString.charCodeAt(i)];
+        if (charValue === BASE) {
+            throw new Error(`Invalid character at position ${i}`);
+        }
+        if (symbol_buffer === -1) {
+            symbol_buffer = charValue;
+        } else {
+            const v = symbol_buffer + charValue * BASE;
+            symbol_buffer = -1;
+            bit_buf |= v << bit_count;
+            bit_count += ((v & 0x1FFF) > THRESHOLD) ? 13 : 14;
+            while (bit_count >= 8) {
+                bytes.push(bit_buf & 0xFF);
+                bit_buf >>>= 8;
+                bit_count -= 8;
+            }
+        }
+    }
+    if (symbol_buffer !== -1) {
+        bit_buf |= symbol_buffer << bit_count;
+        bytes.push(bit_buf & 0xFF);
+    }
+    return new Uint8Array(bytes);
+}
+
+// --- Harness ---
+function measure(name, bytes, fn) {
+    fn(); // warm up
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < rounds; i++) fn();
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const mibPerSecond = (bytes / (1024 * 1024)) * rounds / seconds;
+    console.log(`${name.padEnd(28)} ${mibPerSecond.toFixed(1).padStart(8)} MiB/s`);
+}
+
+const data = new Uint8Array(sizeMiB * 1024 * 1024);
+for (let i = 0, x = 0x12345678; i < data.length; i++) {
+    // xorshift32: reproducible pseudo-random input
+    x ^= x << 13; x ^= x >>> 17; x ^= x << 5;
+    data[i] = x & 0xFF;
+}
+const encoded = Base94Max.encode(data);
+
+console.log(`Base94Max throughput, ${sizeMiB} MiB random data, ${rounds} rounds (MiB of binary data per second)`);
+measure('legacy encode', data.length, () => legacyEncode(data));
+measure('encode', data.length, () => Base94Max.encode(data));
+measure('legacy decode', data.length, () => legacyDecode(encoded));
+measure('decode', data.length, () => Base94Max.decode(encoded));
+
+const encodedBytes = new TextEncoder().encode(encoded);
+const encodeDest = new Uint8Array(Base94Max.maxEncodedLength(data.length));
+const decodeDest = new Uint8Array(Base94Max.maxDecodedLength(encoded.length));
+measure('encodeInto (reused buffer)', data.length, () => Base94Max.encodeInto(data, encodeDest));
+measure('decodeInto (ASCII bytes)', data.length, () => Base94Max.decodeInto(encodedBytes, decodeDest));
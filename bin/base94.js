@@ -1,18 +1,45 @@
 #!/usr/bin/env node
 
 // Import necessary modules
+import fs from 'node:fs';
+import path from 'node:path';
+import { Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import yargs from 'yargs/yargs';
 import { hideBin } from 'yargs/helpers';
 import Base94Max from '../index.js';
+import { createEncodeStream, createDecodeStream } from '../stream.js';
+
+// Variant objects selectable with --mode
+const VARIANTS = {
+  'printable': Base94Max.PRINTABLE,
+  'json-delete': Base94Max.JSON_DELETE,
+  'xml-safe': Base94Max.XML_SAFE,
+  'shell-safe': Base94Max.SHELL_SAFE
+};
+
+// Size of the chunks read from files and stdin. Memory use stays around this size.
+const CHUNK_SIZE = 64 * 1024;
 
 // --- Argument Parsing using yargs ---
 let argv;
 try {
   argv = yargs(hideBin(process.argv))
-    .usage('Usage: $0 [options] < STDIN > STDOUT')
+    .command('$0 [files..]', 'Encode or decode the given files', (y) => y
+      .positional('files', {
+        describe: 'Input files, read in order ("-" for stdin)',
+        default: ['-'],
+        type: 'string'
+      }))
+    .option('decode', {
+      alias: 'd',
+      describe: 'Decode Base94Max input instead of encoding',
+      default: false,
+      type: 'boolean'
+    })
     .option('charset', {
       alias: 'c',
-      describe: 'Treat input data as',
+      describe: 'Treat input data (or decoded output with --decode) as',
       choices: ['utf8', 'bin'],
       default: 'utf8',
       type: 'string'
@@ -20,11 +47,125 @@ try {
     .option('mode', {
       alias: 'm',
       describe: 'Encoding variant (character set)',
-      choices: ['printable', 'json-delete'],
+      choices: Object.keys(VARIANTS),
       default: 'printable',
       type: 'string'
     })
-    .epilog('Reads data from stdin, encodes it using Base94Max, and writes to stdout.')
+    .option('wrap', {
+      alias: 'w',
+      describe: 'When encoding, wrap lines after this many characters (0 = no wrapping)',
+      default: 0,
+      type: 'number'
+    })
+    .option('ignore-garbage', {
+      alias: 'i',
+      describe: 'When decoding, skip whitespace and line breaks that are not part of the alphabet',
+      default: false,
+      type: 'boolean'
+    })
+    .option('armor', {
+      alias: 'a',
+      describe: 'Write (or with --decode read and verify) an armored block with variant, length and checksum headers. Reads the whole input into memory.',
+      default: false,
+      type: 'boolean'
+    })
+    .option('checksum', {
+      describe: 'Checksum algorithm for --armor',
+      choices: ['crc32', 'sha256'],
+      default: 'crc32',
+      type: 'string'
+    })
+    .option('verified-lines', {
+      describe: 'Write (or with --decode read and verify) verified lines: every line of at most --wrap characters (default 76) ends with check digits, so damaged lines are named. Reads the whole input into memory.',
+      default: false,
+      type: 'boolean'
+    })
+    .option('repair', {
+      describe: 'With --verified-lines, add parity lines that repair this many substituted characters when decoding',
+      default: 0,
+      type: 'number'
+    })
+    .option('compress', {
+      describe: 'Compress the input before encoding (auto keeps the smallest result). Reads the whole input into memory. Decode with --decompress.',
+      choices: ['none', 'deflate', 'gzip', 'brotli', 'auto'],
+      default: 'none',
+      type: 'string'
+    })
+    .option('decompress', {
+      describe: 'When decoding, inflate input that was encoded with --compress; fails on input that was not compressed',
+      default: false,
+      type: 'boolean'
+    })
+    .option('check', {
+      describe: 'Only check that the input decodes (with the given --mode, --ignore-garbage or --armor); exit 0 if it does, 1 if not',
+      default: false,
+      type: 'boolean'
+    })
+    .option('detect', {
+      describe: 'Print the variants the input is valid in, most likely first; exit 1 if there are none. Reads the whole input into memory.',
+      default: false,
+      type: 'boolean'
+    })
+    .option('stats', {
+      describe: 'Print how efficiently the input encodes with --mode (after --compress): block counts, bits per character and the Base64/Base85 lengths. Reads the whole input into memory.',
+      default: false,
+      type: 'boolean'
+    })
+    .option('json', {
+      describe: 'With --stats, print JSON instead of a table',
+      default: false,
+      type: 'boolean'
+    })
+    .option('split', {
+      describe: 'Split the encoded output into parts of at most this many characters, one per line, that --join puts back together',
+      type: 'number'
+    })
+    .option('join', {
+      describe: 'Reassemble the parts written by --split (one per line, in any order, duplicates allowed) and write the data',
+      default: false,
+      type: 'boolean'
+    })
+    .option('from', {
+      describe: 'Read input in this encoding instead of raw bytes (base94max uses --mode). Reads the whole input into memory.',
+      choices: Base94Max.listCodecs(),
+      type: 'string'
+    })
+    .option('to', {
+      describe: 'Write output in this encoding instead of raw bytes (base94max uses --mode), e.g. --from base64 --to base94max. Reads the whole input into memory.',
+      choices: Base94Max.listCodecs(),
+      type: 'string'
+    })
+    .option('lines', {
+      describe: 'Encode (or with --decode decode) every input line on its own and write one line per record',
+      default: false,
+      type: 'boolean'
+    })
+    .option('ndjson', {
+      describe: 'Read newline-delimited JSON and encode (or with --decode decode) the string at --field in every record; other fields are kept',
+      default: false,
+      type: 'boolean'
+    })
+    .option('field', {
+      describe: 'With --ndjson, the dot-separated path of the field to rewrite, e.g. payload.data or items.0.data',
+      type: 'string'
+    })
+    .option('skip-invalid', {
+      describe: 'With --lines or --ndjson, report invalid records on stderr and leave them out instead of stopping',
+      default: false,
+      type: 'boolean'
+    })
+    .option('emit', {
+      describe: 'Write a source file with the encoded input as a string literal and its decoded bytes: js and ts through base94max, c, python and rust with a generated decoder (these cannot use --compress). Line length is --wrap (default 76). Reads the whole input into memory.',
+      choices: ['js', 'ts', 'c', 'python', 'rust'],
+      type: 'string'
+    })
+    .option('output', {
+      alias: 'o',
+      describe: 'Write to this file instead of stdout ("-" for stdout)',
+      default: '-',
+      type: 'string'
+    })
+    .epilog('Reads the files in order (stdin if none are given), encodes (or with --decode decodes) them as one payload using Base94Max, and writes the result to stdout or --output. Input is streamed in bounded chunks.')
     .help()
     .alias('h', 'help')
     .strict() // Report errors for unknown options
@@ -38,58 +179,716 @@ try {
 }
 
 
-// --- Function to Read Stdin ---
+// --- Input / Output ---
 /**
- * Reads all data from standard input into a Buffer.
- * @returns {Promise<Buffer>} A promise that resolves with the complete input Buffer.
+ * Reads the given inputs one after the other as a single sequence of chunks.
+ * @param {string[]} paths File paths; "-" stands for stdin.
+ * @returns {AsyncGenerator<Buffer>} The input chunks, each at most CHUNK_SIZE bytes.
  */
-async function readStdin() {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    process.stdin.on('data', (chunk) => {
+async function* readInputs(paths) {
+  for (const path of paths) {
+    const input = (path === '-')
+      ? process.stdin
+      : fs.createReadStream(path, { highWaterMark: CHUNK_SIZE });
+    for await (const chunk of input) {
       // Ensure chunks are Buffers
-      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
-    });
-    process.stdin.on('error', (err) => {
-      reject(new Error(`Error reading stdin: ${err.message}`));
-    });
-    process.stdin.on('end', () => {
-      resolve(Buffer.concat(chunks));
-    });
-  });
+      yield Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    }
+  }
+}
+
+/**
+ * Opens the output destination.
+ * @param {string} path A file path, or "-" for stdout.
+ * @returns {import('node:stream').Writable}
+ */
+function openOutput(path) {
+  return (path === '-') ? process.stdout : fs.createWriteStream(path);
+}
+
+
+// --- Pipeline Stages ---
+/**
+ * Re-encodes the input as UTF-8 the way `Buffer#toString('utf8')` would,
+ * replacing invalid sequences, even when a character is split across chunks.
+ * @param {AsyncIterable<Buffer>} source
+ */
+async function* normalizeUtf8(source) {
+  const decoder = new TextDecoder('utf-8');
+  const encoder = new TextEncoder();
+  for await (const chunk of source) {
+    yield encoder.encode(decoder.decode(chunk, { stream: true }));
+  }
+  yield encoder.encode(decoder.decode());
+}
+
+/**
+ * Checks that the output is valid UTF-8 and passes it through unchanged.
+ * @param {AsyncIterable<Buffer>} source
+ */
+async function* validateUtf8(source) {
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  try {
+    for await (const chunk of source) {
+      decoder.decode(chunk, { stream: true });
+      yield chunk;
+    }
+    decoder.decode();
+  } catch (e) {
+    if (!(e instanceof TypeError)) throw e;
+    throw new Error("Decoded data is not valid UTF-8 text.");
+  }
+}
+
+/**
+ * Appends the newline that terminates encoded output.
+ * @param {AsyncIterable<Buffer>} source
+ */
+async function* appendNewline(source) {
+  yield* source;
+  yield Buffer.from('\n');
+}
+
+/**
+ * Drops the single trailing newline (LF or CRLF) the encoder adds. Trailing line break
+ * bytes are held back until it is clear whether more input follows them.
+ * @param {AsyncIterable<Buffer>} source
+ */
+async function* stripTrailingNewline(source) {
+  let pending = Buffer.alloc(0);
+  for await (const chunk of source) {
+    const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    let end = data.length;
+    while (end > 0 && (data[end - 1] === 0x0A || data[end - 1] === 0x0D)) end--;
+    pending = data.subarray(end);
+    if (end > 0) yield data.subarray(0, end);
+  }
+  // Whatever else is left over is passed on, so the decoder reports it as invalid.
+  const rest = pending.toString('latin1').replace(/\r?\n$/, '');
+  if (rest.length > 0) yield Buffer.from(rest, 'latin1');
+}
+
+/**
+ * Collects the whole input and compresses it the way `Base94Max.encode()` does with its `compress` option.
+ * Only part of the pipeline with --compress; otherwise the input streams through untouched.
+ * @param {string} method A `Base94Max.compress()` method other than none.
+ */
+function compressStage(method) {
+  return async function* (source) {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    yield Base94Max.compress(Buffer.concat(chunks), method);
+  };
+}
+
+/**
+ * Collects the decoded output and inflates it, for --decompress. This is the only place the CLI
+ * decompresses; `Base94Max.decompress()` caps the inflated size and rejects uncompressed output.
+ * @param {AsyncIterable<Buffer>} source
+ */
+async function* decompressStage(source) {
+  const chunks = [];
+  for await (const chunk of source) chunks.push(chunk);
+  const data = Base94Max.decompress(Buffer.concat(chunks));
+  yield Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Collects the whole input and writes it as one armored block.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The payload variant.
+ * @param {string|undefined} filename Recorded in the Filename header, if given.
+ */
+function armorStage(maps, filename) {
+  return async function* (source) {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    yield Buffer.from(Base94Max.armor(Buffer.concat(chunks), {
+      variant: maps,
+      checksum: argv.checksum,
+      filename,
+      wrap: argv.wrap || 76
+    }), 'latin1');
+  };
+}
+
+/**
+ * Collects the whole input, verifies the armored block and passes on its payload as it was encoded;
+ * --decompress inflates it afterwards. The variant comes from the block's header, so --mode is not needed.
+ * @param {AsyncIterable<Buffer>} source
+ */
+async function* unarmorStage(source) {
+  const chunks = [];
+  for await (const chunk of source) chunks.push(chunk);
+  const { data } = Base94Max.unarmor(Buffer.concat(chunks).toString('latin1'));
+  yield Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Collects the whole input and writes it as verified lines of --wrap characters with --repair parity.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The variant.
+ */
+function verifiedLinesStage(maps) {
+  return async function* (source) {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    yield Buffer.from(Base94Max.encode(Buffer.concat(chunks), maps, {
+      verifiedLines: { lineLength: argv.wrap || 76, repair: argv.repair }
+    }), 'latin1');
+  };
+}
+
+/**
+ * Collects the whole input, verifies (and if needed repairs) the verified lines and passes on
+ * their data as it was encoded; --decompress inflates it afterwards. Repaired lines are reported on stderr.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The variant.
+ */
+function unverifyLinesStage(maps) {
+  return async function* (source) {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    const onRepair = (lines) => console.error(`Repaired ${lines.length === 1 ? 'line' : 'lines'} ${lines.join(', ')}.`);
+    yield Base94Max.decode(Buffer.concat(chunks), maps, { verifiedLines: { onRepair }, output: 'buffer' });
+  };
+}
+
+/**
+ * The block layout of a variant for the decoders that --emit writes in C, Python and Rust
+ * (see `#blockParams` in index.js): two symbols hold `lowBits` bits, or one more when the low
+ * bits are at most `threshold`.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The variant.
+ * @returns {{base: number, values: string, lowBits: number, lowMask: number, threshold: number}} The
+ * layout, with the decode table (the value of every ASCII code) comma-separated in rows of 16.
+ */
+function decoderLayout(maps) {
+  const base = maps.encodeMap.length;
+  const lowBits = 31 - Math.clz32(base * base);
+  const threshold = base * base - 1 - (1 << lowBits);
+  const rows = [];
+  for (let i = 0; i < 128; i += 16) rows.push(maps.decodeMap.slice(i, i + 16).join(', '));
+  return { base, values: rows.join(',\n        '), lowBits, lowMask: (1 << lowBits) - 1, threshold };
+}
+
+/**
+ * Source file templates for --emit. JavaScript and TypeScript decode the literal with this library
+ * when they load. C, Python and Rust get a small decoder for the variant next to the literal:
+ * Rust decodes at compile time, Python on import, and C through `base94max_decode()`. The decoders
+ * trust the literal they were generated with and check nothing.
+ * @type {Record<string, (literal: string, options: {variant: string, byteLength: number, compressed: boolean, maps: object}) => string>}
+ */
+const EMITTERS = {
+  js: (literal, { variant, compressed }) => `// Generated by base94 --emit js
+import Base94Max from 'base94max';
+
+export default Base94Max.decode(
+    ${literal},
+    Base94Max.${variant}${compressed ? ',\n    { decompress: true }' : ''}
+);
+`,
+  ts: (literal, { variant, compressed }) => `// Generated by base94 --emit ts
+import Base94Max from 'base94max';
+
+const data: Uint8Array = Base94Max.decode(
+    ${literal},
+    Base94Max.${variant}${compressed ? ',\n    { decompress: true }' : ''}
+);
+export default data;
+`,
+  c: (literal, { variant, byteLength, maps }) => {
+    const { base, values, lowBits, lowMask, threshold } = decoderLayout(maps);
+    return `/* Generated by base94 --emit c: ${byteLength} bytes, Base94Max-encoded with the ${variant} variant. */
+#include <stddef.h>
+#include <stdint.h>
+
+static const char base94max_data[] =
+    ${literal};
+#define BASE94MAX_DATA_LENGTH ${byteLength}UL
+
+/* Decodes base94max_data into out, which must hold BASE94MAX_DATA_LENGTH bytes; returns the byte count. */
+static size_t base94max_decode(unsigned char *out) {
+    static const unsigned char values[128] = {
+        ${values}
+    };
+    uint32_t bits = 0;
+    unsigned count = 0;
+    int pending = -1;
+    size_t n = 0;
+    for (size_t i = 0; i < sizeof base94max_data - 1; i++) {
+        uint32_t value = values[(unsigned char)base94max_data[i] & 0x7F];
+        if (pending < 0) {
+            pending = (int)value;
+            continue;
+        }
+        uint32_t block = (uint32_t)pending + value * ${base};
+        pending = -1;
+        bits |= block << count;
+        count += (block & ${lowMask}) > ${threshold} ? ${lowBits} : ${lowBits + 1};
+        for (; count >= 8; count -= 8, bits >>= 8) out[n++] = (unsigned char)bits;
+    }
+    if (pending >= 0) out[n++] = (unsigned char)(bits | (uint32_t)pending << count);
+    return n;
+}
+`;
+  },
+  python: (literal, { variant, byteLength, maps }) => {
+    const { base, values, lowBits, lowMask, threshold } = decoderLayout(maps);
+    return `# Generated by base94 --emit python: ${byteLength} bytes, Base94Max-encoded with the ${variant} variant.
+BASE94MAX_DATA = ${literal}
+BASE94MAX_DATA_LENGTH = ${byteLength}
+
+
+def base94max_decode(text):
+    """Decodes a Base94Max string of the ${variant} variant into bytes."""
+    values = (
+        ${values}
+    )
+    out = bytearray()
+    bits = count = 0
+    pending = None
+    for char in text:
+        value = values[ord(char) & 0x7F]
+        if pending is None:
+            pending = value
+            continue
+        block = pending + value * ${base}
+        pending = None
+        bits |= block << count
+        count += ${lowBits} if block & ${lowMask} > ${threshold} else ${lowBits + 1}
+        while count >= 8:
+            out.append(bits & 0xFF)
+            bits >>= 8
+            count -= 8
+    if pending is not None:
+        out.append((bits | pending << count) & 0xFF)
+    return bytes(out)
+
+
+BASE94MAX_BYTES = base94max_decode(BASE94MAX_DATA)
+`;
+  },
+  rust: (literal, { variant, byteLength, maps }) => {
+    const { base, values, lowBits, lowMask, threshold } = decoderLayout(maps);
+    return `// Generated by base94 --emit rust: ${byteLength} bytes, Base94Max-encoded with the ${variant} variant.
+pub const BASE94MAX_DATA: &str = ${literal};
+pub const BASE94MAX_DATA_LENGTH: usize = ${byteLength};
+/// The decoded bytes, computed at compile time.
+pub const BASE94MAX_BYTES: [u8; BASE94MAX_DATA_LENGTH] = base94max_decode(BASE94MAX_DATA.as_bytes());
+
+/// Decodes a Base94Max string of the ${variant} variant into BASE94MAX_DATA_LENGTH bytes.
+const fn base94max_decode(text: &[u8]) -> [u8; BASE94MAX_DATA_LENGTH] {
+    const VALUES: [u32; 128] = [
+        ${values}
+    ];
+    let mut out = [0u8; BASE94MAX_DATA_LENGTH];
+    let (mut bits, mut count, mut pending, mut n, mut i) = (0u32, 0u32, u32::MAX, 0usize, 0usize);
+    while i < text.len() {
+        let value = VALUES[(text[i] & 0x7F) as usize];
+        i += 1;
+        if pending == u32::MAX {
+            pending = value;
+            continue;
+        }
+        let block = pending + value * ${base};
+        pending = u32::MAX;
+        bits |= block << count;
+        count += if block & ${lowMask} > ${threshold} { ${lowBits} } else { ${lowBits + 1} };
+        while count >= 8 {
+            out[n] = bits as u8;
+            n += 1;
+            bits >>= 8;
+            count -= 8;
+        }
+    }
+    if pending != u32::MAX {
+        out[n] = (bits | pending << count) as u8;
+    }
+    out
+}
+`;
+  }
+};
+
+/**
+ * Collects the whole input and writes it as a source file in `language` (see EMITTERS), compressed
+ * with --compress by `toSourceLiteral()` itself.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The variant.
+ * @param {string} language A language of `Base94Max.toSourceLiteral()`.
+ */
+function emitStage(maps, language) {
+  return async function* (source) {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    const data = Buffer.concat(chunks);
+    const literal = Base94Max.toSourceLiteral(data, { language, lineLength: argv.wrap || 76, variant: maps, compress: argv.compress });
+    // The constant name of the variant, e.g. 'json-delete' -> JSON_DELETE
+    const variant = argv.mode.toUpperCase().replace('-', '_');
+    yield EMITTERS[language](literal, { variant, byteLength: data.length, compressed: argv.compress !== 'none', maps });
+  };
+}
+
+/**
+ * Collects the whole input and writes the names of the variants it is valid in, one per line.
+ * Fails if there are none, so that the exit code tells whether the input is Base94Max at all.
+ * @param {boolean} ignoreWhitespace Skip whitespace outside the alphabets.
+ */
+function detectStage(ignoreWhitespace) {
+  return async function* (source) {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    const matches = Base94Max.detectVariant(Buffer.concat(chunks), VARIANTS, { ignoreWhitespace });
+    if (matches.length === 0) {
+      throw new Error('Input is not valid in any variant.');
+    }
+    yield matches.map(({ name }) => name + '\n').join('');
+  };
+}
+
+/**
+ * Converts the input one line at a time, as it streams. A failing record stops the run with its
+ * line number, or with --skip-invalid is reported on stderr and left out.
+ * @param {(line: Buffer) => Buffer|string} convert Converts one line (without its line break).
+ */
+function recordStage(convert) {
+  return async function* (source) {
+    let pending = Buffer.alloc(0);
+    let lineNumber = 0;
+    const convertLine = (line) => {
+      lineNumber++;
+      if (line.length > 0 && line[line.length - 1] === 0x0D) line = line.subarray(0, -1);
+      try {
+        const output = convert(line);
+        return Buffer.concat([Buffer.isBuffer(output) ? output : Buffer.from(output, 'latin1'), Buffer.from('\n')]);
+      } catch (e) {
+        const message = `line ${lineNumber}: ${e.message}`;
+        if (!argv.skipInvalid) throw new Error(message);
+        console.error('Skipped', message);
+        return undefined;
+      }
+    };
+    for await (const chunk of source) {
+      const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      // The records of a chunk are written together; on an error, the ones before it still are
+      const outputs = [];
+      let start = 0;
+      try {
+        for (let end = data.indexOf(0x0A); end !== -1; end = data.indexOf(0x0A, start)) {
+          const output = convertLine(data.subarray(start, end));
+          if (output) outputs.push(output);
+          start = end + 1;
+        }
+      } catch (e) {
+        if (outputs.length > 0) yield Buffer.concat(outputs);
+        throw e;
+      }
+      if (outputs.length > 0) yield Buffer.concat(outputs);
+      pending = data.subarray(start);
+    }
+    if (pending.length > 0) {
+      const output = convertLine(pending);
+      if (output) yield output;
+    }
+  };
+}
+
+/**
+ * Returns the converter of one line for --lines: the line's bytes (as UTF-8 text with
+ * --charset utf8) are encoded, or the line is decoded.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The variant.
+ */
+function lineConverter(maps) {
+  if (argv.decode) {
+    const options = { ignoreWhitespace: argv.ignoreGarbage, decompress: argv.decompress };
+    return (line) => (argv.charset === 'utf8')
+      ? Buffer.from(Base94Max.decodeText(line.toString('latin1'), maps, options))
+      : Base94Max.decode(line.toString('latin1'), maps, { ...options, output: 'buffer' });
+  }
+  const options = { compress: argv.compress };
+  return (line) => (argv.charset === 'utf8')
+    ? Base94Max.encodeText(line.toString('utf8'), maps, options)
+    : Base94Max.encode(line, maps, options);
+}
+
+/**
+ * Finds where the value of an object member (or array element) starts and ends in a JSON text that
+ * is known to be valid. Like JSON.parse, the last of duplicate keys wins.
+ * @param {string} text The JSON text.
+ * @param {string[]} path The member names (or element indices), outermost first.
+ * @returns {{start: number, end: number}|undefined} The span of the value, or undefined if it is missing.
+ */
+function findJsonValue(text, path) {
+  const skipSpace = (i) => {
+    while (' \t\r\n'.includes(text[i]) && i < text.length) i++;
+    return i;
+  };
+  const skipString = (i) => {
+    for (i++; text[i] !== '"'; i++) {
+      if (text[i] === '\\') i++;
+    }
+    return i + 1;
+  };
+  const skipValue = (i) => {
+    if (text[i] === '"') return skipString(i);
+    if (text[i] !== '{' && text[i] !== '[') {
+      while (i < text.length && !',}] \t\r\n'.includes(text[i])) i++;
+      return i;
+    }
+    for (let depth = 0; ; i++) {
+      if (text[i] === '"') i = skipString(i) - 1;
+      else if (text[i] === '{' || text[i] === '[') depth++;
+      else if ((text[i] === '}' || text[i] === ']') && --depth === 0) return i + 1;
+    }
+  };
+  let span = { start: skipSpace(0) };
+  for (const name of path) {
+    const isArray = text[span.start] === '[';
+    if (!isArray && text[span.start] !== '{') return undefined;
+    let found;
+    let i = skipSpace(span.start + 1);
+    for (let index = 0; text[i] !== '}' && text[i] !== ']'; index++) {
+      let key = String(index);
+      if (!isArray) {
+        const keyEnd = skipString(i);
+        key = JSON.parse(text.slice(i, keyEnd));
+        i = skipSpace(skipSpace(keyEnd) + 1); // Past the colon
+      }
+      const end = skipValue(i);
+      if (key === name) found = { start: i, end };
+      i = skipSpace(end);
+      if (text[i] === ',') i = skipSpace(i + 1);
+    }
+    if (found === undefined) return undefined;
+    span = found;
+  }
+  return span;
+}
+
+/**
+ * Returns the converter of one NDJSON record for --ndjson: the string at `field` is encoded from
+ * (or decoded to) UTF-8 text and spliced into the record in place, so the rest of it, numbers
+ * included, stays exactly as it was. Blank lines and records without the field pass through unchanged.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The variant.
+ * @param {string} field The dot-separated path of the field.
+ */
+function ndjsonConverter(maps, field) {
+  const path = field.split('.');
+  return (line) => {
+    const text = line.toString('utf8');
+    if (text.trim() === '') return line;
+    try {
+      JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    const span = findJsonValue(text, path);
+    if (span === undefined) return line;
+    const value = JSON.parse(text.slice(span.start, span.end));
+    if (typeof value !== 'string') {
+      throw new Error(`Field ${field} is not a string.`);
+    }
+    const converted = argv.decode
+      ? Base94Max.decodeText(value, maps, { ignoreWhitespace: argv.ignoreGarbage, decompress: argv.decompress })
+      : Base94Max.encodeText(value, maps, { compress: argv.compress });
+    return Buffer.from(text.slice(0, span.start) + JSON.stringify(converted) + text.slice(span.end));
+  };
+}
+
+/**
+ * Collects the whole input and writes `Base94Max.analyze()` for it, as a table or as JSON.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The variant to analyze for.
+ * @param {boolean} json Write JSON instead of a table.
+ */
+function statsStage(maps, json) {
+  return async function* (source) {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    const stats = Base94Max.analyze(Buffer.concat(chunks), maps);
+    if (json) {
+      yield JSON.stringify(stats, null, 2) + '\n';
+      return;
+    }
+    const compare = (length) => (length === 0)
+      ? String(length)
+      : `${length} (Base94Max is ${(Math.abs(1 - stats.encodedLength / length) * 100).toFixed(1)}% ${stats.encodedLength <= length ? 'shorter' : 'longer'})`;
+    const rows = [
+      ['Input bytes', stats.byteLength],
+      ['Encoded length', stats.encodedLength],
+      [`${stats.narrowBits}-bit blocks`, stats.narrowBlocks],
+      [`${stats.wideBits}-bit blocks`, stats.wideBlocks],
+      ['Tail symbols', stats.tailSymbols],
+      ['Bits per character', stats.bitsPerChar.toFixed(3)],
+      ['Efficiency', `${(stats.efficiency * 100).toFixed(1)}%`],
+      ['Base64 length', compare(stats.base64Length)],
+      ['Base85 length', compare(stats.base85Length)]
+    ];
+    yield rows.map(([label, value]) => `${label.padEnd(20)}${value}\n`).join('');
+  };
+}
+
+/**
+ * Collects the whole input and writes it as parts of at most `maxPartLength` characters, one per line.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The variant of the parts.
+ * @param {number} maxPartLength The maximum length of a part.
+ */
+function splitStage(maps, maxPartLength) {
+  return async function* (source) {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    for (const part of Base94Max.split(Buffer.concat(chunks), { maxPartLength, variant: maps })) {
+      yield part + '\n';
+    }
+  };
+}
+
+/**
+ * Reads parts line by line, in any order, and writes the reassembled data once all have arrived.
+ * Empty lines are skipped; an invalid part fails with its line number.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The variant of the parts.
+ */
+function joinStage(maps) {
+  return async function* (source) {
+    const reassembler = new Base94Max.Reassembler(maps);
+    let line = 0;
+    let pending = '';
+    const add = (text) => {
+      line++;
+      const part = text.replace(/\r$/, '');
+      if (part.length === 0) return;
+      try {
+        reassembler.add(part);
+      } catch (e) {
+        throw new Error(`line ${line}: ${e.message}`);
+      }
+    };
+    for await (const chunk of source) {
+      const lines = (pending + chunk.toString('latin1')).split('\n');
+      pending = lines.pop();
+      lines.forEach(add);
+    }
+    add(pending);
+    const data = reassembler.assemble();
+    yield Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  };
+}
+
+/**
+ * Collects the whole input and converts it between codecs with `Base94Max.transcode()`.
+ * Without `from` the input is raw bytes, without `to` the output is.
+ * @param {string|undefined} from The codec the input is encoded with.
+ * @param {string|undefined} to The codec to encode the output with.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} maps The variant for the base94max codec.
+ */
+function transcodeStage(from, to, maps) {
+  return async function* (source) {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    const input = Buffer.concat(chunks);
+    const data = from
+      ? Base94Max.getCodec(from).decode(input.toString('latin1'), { variant: maps, ignoreWhitespace: argv.ignoreGarbage })
+      : input;
+    if (to) {
+      yield Buffer.from(Base94Max.getCodec(to).encode(data, { variant: maps }) + '\n', 'latin1');
+    } else {
+      yield Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    }
+  };
+}
+
+/**
+ * A destination that discards everything, for --check.
+ * @returns {Writable}
+ */
+function discardOutput() {
+  return new Writable({ write: (chunk, encoding, callback) => callback() });
 }
 
 // --- Main Execution Logic ---
+/**
+ * Rejects flags that do not go together instead of silently following one of them: at most one
+ * mode picks what the run does, and the other flags only apply in the directions that use them.
+ */
+function checkOptions() {
+  const modes = Object.entries({
+    '--lines': argv.lines,
+    '--ndjson': argv.ndjson,
+    '--from/--to': argv.from !== undefined || argv.to !== undefined,
+    '--join': argv.join,
+    '--split': argv.split !== undefined,
+    '--emit': argv.emit !== undefined,
+    '--stats': argv.stats,
+    '--detect': argv.detect,
+    '--armor': argv.armor,
+    '--verified-lines': argv.verifiedLines
+  }).filter(([, given]) => given).map(([name]) => name);
+  if (modes.length > 1) throw new Error(`${modes[0]} cannot be combined with ${modes[1]}.`);
+  const mode = modes[0];
+  const decoding = argv.decode || argv.check;
+  const decodingModes = argv.check ? [undefined, '--armor', '--verified-lines'] : [undefined, '--armor', '--verified-lines', '--lines', '--ndjson'];
+  if (decoding && !decodingModes.includes(mode)) {
+    throw new Error(`${mode} cannot be combined with ${argv.check ? '--check' : '--decode'}.`);
+  }
+  const encoding = !decoding && !['--from/--to', '--join', '--detect'].includes(mode);
+  if (argv.wrap !== 0 && !(encoding && [undefined, '--armor', '--verified-lines', '--emit'].includes(mode))) {
+    throw new Error('--wrap only applies when encoding, plain or with --armor, --verified-lines or --emit.');
+  }
+  if (argv.compress !== 'none' && !encoding) throw new Error('--compress only applies when encoding.');
+  if (argv.decompress && !decoding && mode !== '--join') throw new Error('--decompress needs --decode, --check or --join.');
+  if (argv.ignoreGarbage && !decoding && mode !== '--detect') throw new Error('--ignore-garbage needs --decode, --check or --detect.');
+  if (argv.json && mode !== '--stats') throw new Error('--json needs --stats.');
+  if (argv.skipInvalid && mode !== '--lines' && mode !== '--ndjson') throw new Error('--skip-invalid needs --lines or --ndjson.');
+  if (mode === '--ndjson' && !argv.field) throw new Error('--ndjson needs --field.');
+  if (argv.field !== undefined && mode !== '--ndjson') throw new Error('--field needs --ndjson.');
+  if (argv.repair !== 0 && mode !== '--verified-lines') throw new Error('--repair needs --verified-lines.');
+  if (argv.emit && !['js', 'ts'].includes(argv.emit) && argv.compress !== 'none') {
+    throw new Error(`--emit ${argv.emit} cannot use --compress: only js and ts inflate the data, through base94max.`);
+  }
+}
+
 async function run() {
   try {
-    // 1. Read all data from stdin
-    const inputBuffer = await readStdin();
-
-    // 2. Select the correct Base94Max variant map object
-    const maps = (argv.mode === 'json-delete')
-      ? Base94Max.JSON_DELETE
-      : Base94Max.PRINTABLE; // Default is 'printable'
-
-    // 3. Encode the data based on the charset parameter
-    let encodedResult;
-    if (argv.charset === 'bin') {
-      // Treat input as raw binary data
-      encodedResult = Base94Max.encode(inputBuffer, maps);
+    // 1. Select the correct Base94Max variant map object
+    const maps = VARIANTS[argv.mode]; // Default is 'printable'
+
+    // 2. Assemble the stages for the requested direction and charset
+    const files = argv.files.map(String);
+    // Compression happens exactly once, in these stages, and only when asked for
+    const compress = argv.compress !== 'none' && compressStage(argv.compress);
+    const decompress = argv.decompress && decompressStage;
+    let stages;
+    checkOptions();
+    if (argv.ndjson) {
+      stages = [recordStage(ndjsonConverter(maps, argv.field))];
+    } else if (argv.lines) {
+      stages = [recordStage(lineConverter(maps))];
+    } else if (argv.from || argv.to) {
+      stages = [argv.from && stripTrailingNewline, transcodeStage(argv.from, argv.to, maps)];
+    } else if (argv.join) {
+      stages = [joinStage(maps), decompress, argv.charset === 'utf8' && validateUtf8];
+    } else if (argv.split !== undefined) {
+      stages = [argv.charset === 'utf8' && normalizeUtf8, compress, splitStage(maps, argv.split)];
+    } else if (argv.emit) {
+      stages = [argv.charset === 'utf8' && normalizeUtf8, emitStage(maps, argv.emit)];
+    } else if (argv.stats) {
+      stages = [argv.charset === 'utf8' && normalizeUtf8, compress, statsStage(maps, argv.json)];
+    } else if (argv.detect) {
+      stages = [stripTrailingNewline, detectStage(argv.ignoreGarbage)];
+    } else if (argv.decode || argv.check) {
+      let decodeStages = [stripTrailingNewline, createDecodeStream(maps, { ignoreWhitespace: argv.ignoreGarbage })];
+      if (argv.armor) decodeStages = [unarmorStage];
+      else if (argv.verifiedLines) decodeStages = [unverifyLinesStage(maps)];
+      stages = [...decodeStages, decompress, argv.charset === 'utf8' && !argv.check && validateUtf8];
     } else {
-      // Treat input as UTF-8 text (default)
-      // Need try-catch here? No, TextDecoder handles it in uint8ArrayToString if needed,
-      // but here we convert Buffer -> JS String first. toString is safe.
-      const inputText = inputBuffer.toString('utf8');
-      encodedResult = Base94Max.encodeText(inputText, maps);
+      const filename = (files.length === 1 && files[0] !== '-') ? path.basename(files[0]) : undefined;
+      let encodeStages = [createEncodeStream(maps, { wrap: argv.wrap }), appendNewline];
+      if (argv.armor) encodeStages = [armorStage(maps, filename)];
+      else if (argv.verifiedLines) encodeStages = [verifiedLinesStage(maps), appendNewline];
+      stages = [argv.charset === 'utf8' && normalizeUtf8, compress, ...encodeStages];
     }
 
-    // 4. Write the encoded result to stdout
-    // console.log adds a newline, process.stdout.write doesn't.
-    // For piping, write might be slightly better, but console.log is often fine.
-    process.stdout.write(encodedResult + '\n'); // Add newline manually if using write
+    // 3. Stream the inputs through the stages to the output
+    const output = argv.check ? discardOutput() : openOutput(argv.output);
+    await pipeline(readInputs(files), ...stages.filter(Boolean), output);
 
   } catch (error) {
-    // Catch errors from stdin reading, Base94Max encoding, or map validation
+    // Catch errors from reading/writing, Base94Max encoding/decoding, or map validation
     console.error('Error:', error.message);
     process.exit(1); // Exit with a non-zero code to indicate failure
   }
@@ -97,4 +896,3 @@ async function run() {
 
 // --- Start the process ---
 run();
-
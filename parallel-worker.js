@@ -0,0 +1,20 @@
+// parallel-worker.js - Worker thread behind Base94Max.encodeParallel()/decodeParallel()
+
+import { parentPort, workerData } from 'node:worker_threads';
+import Base94Max, { Base94MaxError } from './index.js';
+
+// The maps cannot cross threads as objects, so the variant is rebuilt from its alphabet.
+const { task, alphabet, input, blockSize, options } = workerData;
+try {
+    const variant = Base94Max.createVariant(alphabet);
+    if (task === 'encode') {
+        parentPort.postMessage({ result: Base94Max.encodeFramed(input, variant, { blockSize }) });
+    } else {
+        const result = Base94Max.decodeFramed(input, variant, options);
+        parentPort.postMessage({ result }, [result.buffer]);
+    }
+} catch (error) {
+    // Only errors about the input are answered; anything else fails the worker and reaches the caller as it is.
+    if (!(error instanceof Base94MaxError)) throw error;
+    parentPort.postMessage({ error: { code: error.code, message: error.message } });
+}
@@ -0,0 +1,67 @@
+// stream.js - Node.js stream.Transform adapters for the incremental Base94Max Encoder/Decoder
+
+import { Transform } from 'node:stream';
+import Base94Max from './index.js';
+
+/**
+ * Creates a Node.js Transform stream that encodes binary input into Base94Max text.
+ * Memory use is bounded by the chunk size, whatever the total input size.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} [maps=Base94Max.PRINTABLE]
+ * @param {object} [options] Encode options, see `Base94Max.encode()`.
+ * @returns {Transform} A stream taking Buffers/Uint8Arrays and emitting ASCII Buffers.
+ */
+export function createEncodeStream(maps = Base94Max.PRINTABLE, options = {}) {
+    const encoder = new Base94Max.Encoder(maps, options);
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                callback(null, toOutput(encoder.push(chunk)));
+            } catch (err) {
+                callback(err);
+            }
+        },
+        flush(callback) {
+            callback(null, toOutput(encoder.flush()));
+        }
+    });
+}
+
+/**
+ * Creates a Node.js Transform stream that decodes Base94Max text into binary output.
+ * @param {Readonly<{encodeMap: readonly string[], decodeMap: readonly number[]}>} [maps=Base94Max.PRINTABLE]
+ * @param {object} [options] Decode options, see `Base94Max.decode()`.
+ * @returns {Transform} A stream taking ASCII Buffers (or strings) and emitting Buffers.
+ */
+export function createDecodeStream(maps = Base94Max.PRINTABLE, options = {}) {
+    const decoder = new Base94Max.Decoder(maps, options);
+    return new Transform({
+        // Keep string chunks as strings instead of re-encoding them as UTF-8.
+        decodeStrings: false,
+        transform(chunk, encoding, callback) {
+            try {
+                callback(null, toOutput(decoder.push(chunk)));
+            } catch (err) {
+                callback(err);
+            }
+        },
+        flush(callback) {
+            try {
+                callback(null, toOutput(decoder.flush()));
+            } catch (err) {
+                callback(err);
+            }
+        }
+    });
+}
+
+// Pushing an empty chunk would signal nothing useful, so empty results are skipped.
+function toOutput(result) {
+    if (result.length === 0) {
+        return undefined;
+    }
+    if (typeof result === 'string') {
+        // Base94Max output is ASCII (including DEL), so latin1 writes each char as one byte.
+        return Buffer.from(result, 'latin1');
+    }
+    return Buffer.from(result.buffer, result.byteOffset, result.byteLength);
+}
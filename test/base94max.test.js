@@ -1,10 +1,24 @@
 // test/base94max.test.js
 import assert from 'assert'; // Node.js built-in assertion library
-import Base94Max from '../index.js'; // Importiere dein Modul (Pfad anpassen falls nötig)
+import Base94Max, { Base94MaxError } from '../index.js'; // Importiere dein Modul (Pfad anpassen falls nötig)
 import randomBytesSeed from 'random-bytes-seed';
+import crypto from 'crypto';
+import vm from 'vm';
+import { createRequire } from 'module';
 
 // --- Test Suite ---
 describe('Base94Max', () => {
+    // Runs fn and returns the Base94MaxError it throws.
+    function catchError(fn) {
+        try {
+            fn();
+        } catch (e) {
+            assert(e instanceof Base94MaxError, `expected a Base94MaxError, got ${e}`);
+            assert(e instanceof Error);
+            return e;
+        }
+        assert.fail('expected an error');
+    }
 
 
     // --- Test 1: Encoder-Ausgabe prüfen ---
@@ -160,4 +174,1566 @@ describe('Base94Max', () => {
         });
    });
 
+    // --- Test 4: Incremental Encoder/Decoder ---
+    describe('Encoder / Decoder (streaming)', () => {
+        const data = randomBytesSeed('Base94MaxStreamingSeed')(1000);
+
+        // Splits the input at the given offsets.
+        function split(input, offsets) {
+            const parts = [];
+            let last = 0;
+            for (const offset of offsets) {
+                parts.push(input.slice(last, offset));
+                last = offset;
+            }
+            parts.push(input.slice(last));
+            return parts;
+        }
+
+        it('should match encode() for every single split point', () => {
+            const sample = data.subarray(0, 40);
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE]) {
+                const expected = Base94Max.encode(sample, variant);
+                for (let at = 0; at <= sample.length; at++) {
+                    const encoder = new Base94Max.Encoder(variant);
+                    const out = split(sample, [at]).map(chunk => encoder.push(chunk)).join('') + encoder.flush();
+                    assert.strictEqual(out, expected, `split at ${at}`);
+                }
+            }
+        });
+
+        it('should match decode() for every single split point, including inside a symbol pair', () => {
+            const sample = data.subarray(0, 40);
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE]) {
+                const encoded = Base94Max.encode(sample, variant);
+                for (let at = 0; at <= encoded.length; at++) {
+                    const decoder = new Base94Max.Decoder(variant);
+                    const parts = split(encoded, [at]).map(chunk => decoder.push(chunk));
+                    parts.push(decoder.flush());
+                    assert.deepStrictEqual(Buffer.concat(parts), Buffer.from(sample), `split at ${at}`);
+                }
+            }
+        });
+
+        it('should round trip with many small random chunks', () => {
+            const encoder = new Base94Max.Encoder();
+            const decoder = new Base94Max.Decoder();
+            let encoded = '';
+            for (let i = 0; i < data.length;) {
+                const size = 1 + (i * 7919) % 13;
+                encoded += encoder.push(data.subarray(i, i + size));
+                i += size;
+            }
+            encoded += encoder.flush();
+            assert.strictEqual(encoded, Base94Max.encode(data));
+
+            const parts = [];
+            for (let i = 0; i < encoded.length; i += 3) {
+                parts.push(decoder.push(encoded.slice(i, i + 3)));
+            }
+            parts.push(decoder.flush());
+            assert.deepStrictEqual(Buffer.concat(parts), Buffer.from(data));
+        });
+
+        it('should accept ASCII byte chunks when decoding', () => {
+            const encoded = Base94Max.encode(data, Base94Max.JSON_DELETE);
+            const decoder = new Base94Max.Decoder(Base94Max.JSON_DELETE);
+            const parts = [decoder.push(Buffer.from(encoded, 'latin1')), decoder.flush()];
+            assert.deepStrictEqual(Buffer.concat(parts), Buffer.from(data));
+        });
+
+        it('should report absolute positions for invalid characters across chunks', () => {
+            const decoder = new Base94Max.Decoder();
+            decoder.push('E/6*');
+            assert.throws(() => decoder.push('r l!'), /position 5/);
+        });
+
+        it('should throw on invalid padding at flush()', () => {
+            const decoder = new Base94Max.Decoder();
+            decoder.push('~~~');
+            assert.throws(() => decoder.flush(), /padding/);
+        });
+
+        it('should work through the WHATWG TransformStream adapters', async () => {
+            const chunks = split(data, [1, 2, 100, 517]);
+            const readable = new ReadableStream({
+                start(controller) {
+                    chunks.forEach(chunk => controller.enqueue(chunk));
+                    controller.close();
+                }
+            });
+            let encoded = '';
+            for await (const chunk of readable.pipeThrough(Base94Max.createEncoderStream())) {
+                encoded += chunk;
+            }
+            assert.strictEqual(encoded, Base94Max.encode(data));
+
+            const encodedReadable = new ReadableStream({
+                start(controller) {
+                    split(encoded, [1, 2, 3, 500]).forEach(chunk => controller.enqueue(chunk));
+                    controller.close();
+                }
+            });
+            const parts = [];
+            for await (const chunk of encodedReadable.pipeThrough(Base94Max.createDecoderStream())) {
+                parts.push(chunk);
+            }
+            assert.deepStrictEqual(Buffer.concat(parts), Buffer.from(data));
+        });
+    });
+
+    // --- Test 5: Custom Alphabets ---
+    describe('createVariant() / map validation', () => {
+        const printableAlphabet = Base94Max.PRINTABLE.encodeMap.join('');
+
+        it('should build a variant equivalent to the predefined ones', () => {
+            const variant = Base94Max.createVariant(printableAlphabet);
+            assert.deepStrictEqual(variant.decodeMap, Base94Max.PRINTABLE.decodeMap);
+            const jsonVariant = Base94Max.createVariant(Base94Max.JSON_DELETE.encodeMap);
+            assert.deepStrictEqual(jsonVariant.decodeMap, Base94Max.JSON_DELETE.decodeMap);
+        });
+
+        it('should return a frozen variant that round trips', () => {
+            // Reversed alphabet: a real custom mapping
+            const variant = Base94Max.createVariant([...printableAlphabet].reverse());
+            assert(Object.isFrozen(variant) && Object.isFrozen(variant.encodeMap) && Object.isFrozen(variant.decodeMap));
+            const data = new Uint8Array(Array.from({length: 256}, (_, i) => i));
+            const encoded = Base94Max.encode(data, variant);
+            assert.notStrictEqual(encoded, Base94Max.encode(data));
+            assert.deepStrictEqual(Base94Max.decode(encoded, variant), data);
+        });
+
+        it('should reject alphabets of the wrong length', () => {
+            assert.throws(() => Base94Max.createVariant('!'), /expected 2 to 128 characters, got 1/);
+            assert.throws(() => Base94Max.createVariant(Array.from({length: 129}, (_, i) => String.fromCharCode(i))), /got 129/);
+            assert.throws(() => Base94Max.createVariant(42), /expected a string or an array/);
+        });
+
+        it('should reject duplicate characters', () => {
+            assert.throws(() => Base94Max.createVariant('!' + printableAlphabet.slice(1, 93) + '!'), /'!' \(code 33\) appears at index 0 and 93/);
+        });
+
+        it('should reject multi-character and non-ASCII entries', () => {
+            const entries = [...printableAlphabet];
+            entries[5] = 'ab';
+            assert.throws(() => Base94Max.createVariant(entries), /index 5 must be a single character/);
+            assert.throws(() => Base94Max.createVariant('\u00e9' + printableAlphabet.slice(1)), /outside the ASCII range/);
+            assert.throws(() => Base94Max.createVariant('\u{1F600}' + printableAlphabet.slice(1)), /outside the ASCII range/);
+        });
+
+        it('should refuse maps whose decodeMap does not match the encodeMap', () => {
+            const encodeMap = [...printableAlphabet].reverse();
+            const mismatched = { encodeMap, decodeMap: Base94Max.PRINTABLE.decodeMap };
+            assert.throws(() => Base94Max.encode(new Uint8Array([1, 2, 3]), mismatched), /does not match encodeMap/);
+            assert.throws(() => Base94Max.decode('!!', mismatched), /does not match encodeMap/);
+
+            const incomplete = { encodeMap: Base94Max.PRINTABLE.encodeMap, decodeMap: [...Base94Max.PRINTABLE.decodeMap] };
+            incomplete.decodeMap['!'.charCodeAt(0)] = 94;
+            assert.throws(() => Base94Max.encode(new Uint8Array([1]), incomplete), /covers 93 of 94/);
+        });
+    });
+
+    // --- Test 6: Other Alphabet Sizes ---
+    describe('radix-parameterized alphabets', () => {
+        const data = randomBytesSeed('Base94MaxRadixSeed')(2000);
+        const printableAlphabet = Base94Max.PRINTABLE.encodeMap.join('');
+
+        it('should round trip for every alphabet size from 2 to 128', () => {
+            const inputs = [data.subarray(0, 300), new Uint8Array(17).fill(255), new Uint8Array(9)];
+            for (let n = 2; n <= 128; n++) {
+                const variant = Base94Max.createVariant(Array.from({length: n}, (_, i) => String.fromCharCode(i)));
+                for (let len = 0; len <= 3; len++) {
+                    inputs.push(data.subarray(n, n + len));
+                }
+                inputs.forEach(input => {
+                    const encoded = Base94Max.encode(input, variant);
+                    assert.deepStrictEqual(Base94Max.decode(encoded, variant), new Uint8Array(input), `base ${n}, length ${input.length}`);
+                });
+            }
+        });
+
+        it('should produce the same output as PRINTABLE for a 94-character alphabet', () => {
+            const variant = Base94Max.createVariant(printableAlphabet);
+            assert.strictEqual(Base94Max.encode(data, variant), Base94Max.encode(data));
+        });
+
+        it('should use two characters per 12/13-bit block for 85 to 90 characters', () => {
+            const variant = Base94Max.createVariant(printableAlphabet.slice(0, 85));
+            const encoded = Base94Max.encode(data, variant);
+            // Between 12 and 13 bits per two characters (plus a tail of up to two characters)
+            assert(encoded.length <= Math.ceil(data.length * 8 / 12) * 2 + 2);
+            assert(encoded.length >= Math.floor(data.length * 8 / 13) * 2);
+        });
+
+        it('should work through the streaming Encoder/Decoder', () => {
+            const encoder = new Base94Max.Encoder(Base94Max.XML_SAFE);
+            const encoded = encoder.push(data.subarray(0, 777)) + encoder.push(data.subarray(777)) + encoder.flush();
+            assert.strictEqual(encoded, Base94Max.encode(data, Base94Max.XML_SAFE));
+            const decoder = new Base94Max.Decoder(Base94Max.XML_SAFE);
+            const parts = [decoder.push(encoded.slice(0, 101)), decoder.push(encoded.slice(101)), decoder.flush()];
+            assert.deepStrictEqual(Buffer.concat(parts), Buffer.from(data));
+        });
+
+        it('should keep XML_SAFE output free of XML special characters', () => {
+            assert.strictEqual(Base94Max.XML_SAFE.encodeMap.length, 89);
+            const encoded = Base94Max.encode(data, Base94Max.XML_SAFE);
+            assert.doesNotMatch(encoded, /["'&<>]/);
+            assert.deepStrictEqual(Base94Max.decode(encoded, Base94Max.XML_SAFE), new Uint8Array(data));
+        });
+
+        it('should keep SHELL_SAFE output to unquoted-safe shell characters', () => {
+            assert.strictEqual(Base94Max.SHELL_SAFE.encodeMap.length, 70);
+            const encoded = Base94Max.encode(data, Base94Max.SHELL_SAFE);
+            assert.match(encoded, /^[A-Za-z0-9%+,./:@_]*$/);
+            assert.deepStrictEqual(Base94Max.decode(encoded, Base94Max.SHELL_SAFE), new Uint8Array(data));
+        });
+
+        it('should reject characters of a larger alphabet', () => {
+            assert.throws(() => Base94Max.decode('ab<d', Base94Max.XML_SAFE), /Invalid character.*position 2/);
+        });
+    });
+
+    // --- Test 7: Line Wrapping / Whitespace ---
+    describe('line wrapping and whitespace-tolerant decoding', () => {
+        const data = randomBytesSeed('Base94MaxWrapSeed')(500);
+
+        it('should wrap lines at the given column without a trailing line ending', () => {
+            const plain = Base94Max.encode(data);
+            const wrapped = Base94Max.encode(data, Base94Max.PRINTABLE, { wrap: 76 });
+            const lines = wrapped.split('\n');
+            assert(lines.slice(0, -1).every(line => line.length === 76));
+            assert(lines[lines.length - 1].length > 0 && lines[lines.length - 1].length <= 76);
+            assert.strictEqual(lines.join(''), plain);
+        });
+
+        it('should not add a line ending when the output fits exactly', () => {
+            const plain = Base94Max.encode(data.subarray(0, 10));
+            assert.strictEqual(Base94Max.encode(data.subarray(0, 10), Base94Max.PRINTABLE, { wrap: plain.length }), plain);
+        });
+
+        it('should use the configured line ending', () => {
+            const wrapped = Base94Max.encode(data, Base94Max.PRINTABLE, { wrap: 64, lineEnding: '\r\n' });
+            assert.strictEqual(wrapped.split('\r\n').join(''), Base94Max.encode(data));
+            assert.doesNotMatch(wrapped.replace(/\r\n/g, ''), /[\r\n]/);
+        });
+
+        it('should reject invalid wrap options', () => {
+            assert.throws(() => Base94Max.encode(data, Base94Max.PRINTABLE, { wrap: -1 }), /wrap must be a non-negative integer/);
+            assert.throws(() => Base94Max.encode(data, Base94Max.PRINTABLE, { wrap: 10, lineEnding: '--' }), /lineEnding must be/);
+            assert.throws(() => Base94Max.encode(data, Base94Max.JSON_DELETE, { wrap: 10, lineEnding: ' ' }), /contains characters of the alphabet/);
+        });
+
+        it('should wrap identically when streaming', () => {
+            const expected = Base94Max.encode(data, Base94Max.PRINTABLE, { wrap: 20 });
+            const encoder = new Base94Max.Encoder(Base94Max.PRINTABLE, { wrap: 20 });
+            let out = '';
+            for (let i = 0; i < data.length; i += 11) {
+                out += encoder.push(data.subarray(i, i + 11));
+            }
+            assert.strictEqual(out + encoder.flush(), expected);
+        });
+
+        it('should skip whitespace only when ignoreWhitespace is set', () => {
+            const wrapped = Base94Max.encode(data, Base94Max.PRINTABLE, { wrap: 30, lineEnding: '\r\n' });
+            assert.throws(() => Base94Max.decode(wrapped), /Invalid character/);
+            const messy = '  \t' + wrapped.replace(/\r\n/g, '\n \f') + '\n';
+            assert.deepStrictEqual(Base94Max.decode(messy, Base94Max.PRINTABLE, { ignoreWhitespace: true }), new Uint8Array(data));
+        });
+
+        it('should keep the JSON_DELETE space as data while skipping line breaks', () => {
+            const wrapped = Base94Max.encode(data, Base94Max.JSON_DELETE, { wrap: 16 });
+            assert(wrapped.includes(' '), 'test data should contain the space symbol');
+            const decoded = Base94Max.decode('\t' + wrapped + '\r\n', Base94Max.JSON_DELETE, { ignoreWhitespace: true });
+            assert.deepStrictEqual(decoded, new Uint8Array(data));
+        });
+
+        it('should still reject non-whitespace garbage', () => {
+            assert.throws(() => Base94Max.decode('E/6*\nr\u00e9l!', Base94Max.PRINTABLE, { ignoreWhitespace: true }), /position 6/);
+        });
+    });
+
+    // --- Test 8: Armored Envelope ---
+    describe('armor() / unarmor()', () => {
+        const data = randomBytesSeed('Base94MaxArmorSeed')(1000);
+
+        it('should round trip with headers for every predefined variant', () => {
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, Base94Max.XML_SAFE, Base94Max.SHELL_SAFE]) {
+                const armored = Base94Max.armor(data, { variant, filename: 'dump.bin', contentType: 'application/octet-stream' });
+                const result = Base94Max.unarmor(armored);
+                assert.deepStrictEqual(result.data, new Uint8Array(data));
+                assert.strictEqual(result.variant, variant);
+                assert.strictEqual(result.filename, 'dump.bin');
+                assert.strictEqual(result.contentType, 'application/octet-stream');
+                assert.strictEqual(result.headers.Length, '1000');
+            }
+        });
+
+        it('should write the expected layout', () => {
+            const armored = Base94Max.armor(new Uint8Array([72, 101, 108, 108, 111]));
+            assert.strictEqual(armored, [
+                '-----BEGIN BASE94MAX-----',
+                'Variant: printable',
+                'Length: 5',
+                'Checksum: CRC32 f7d18982',
+                '',
+                'E/6*rl!',
+                '-----END BASE94MAX-----',
+                ''
+            ].join('\n'));
+        });
+
+        it('should compute the same checksums as node:crypto / zlib', () => {
+            for (const length of [0, 1, 55, 56, 63, 64, 65, 1000]) {
+                const slice = data.subarray(0, length);
+                const armored = Base94Max.armor(slice, { checksum: 'sha256' });
+                assert.match(armored, new RegExp(`Checksum: SHA-256 ${crypto.createHash('sha256').update(slice).digest('hex')}\n`), `length ${length}`);
+            }
+            // Well-known CRC-32 check value
+            assert.match(Base94Max.armor(new TextEncoder().encode('123456789')), /Checksum: CRC32 cbf43926/);
+        });
+
+        it('should ignore surrounding text and CRLF line endings', () => {
+            const armored = Base94Max.armor(data, { wrap: 40 }).replace(/\n/g, '\r\n');
+            const result = Base94Max.unarmor('Some mail text\r\n\r\n' + armored + '\r\nRegards');
+            assert.deepStrictEqual(result.data, new Uint8Array(data));
+        });
+
+        it('should detect a truncated payload', () => {
+            const lines = Base94Max.armor(data).split('\n');
+            const payloadEnd = lines.indexOf('-----END BASE94MAX-----');
+            // Drop the last character: the remaining string still decodes on its own
+            lines[payloadEnd - 1] = lines[payloadEnd - 1].slice(0, -1);
+            assert.throws(() => Base94Max.unarmor(lines.join('\n')), /length mismatch|padding/);
+            // Drop whole lines until the rest decodes: then only the Length header catches it
+            const headerOnly = lines.slice(0, lines.indexOf('') + 1).concat(Base94Max.encode(data.subarray(0, 900)), lines.slice(payloadEnd));
+            assert.throws(() => Base94Max.unarmor(headerOnly.join('\n')), /length mismatch \(header 1000, decoded 900\)/);
+        });
+
+        it('should detect a substituted character through the checksum', () => {
+            for (const checksum of ['crc32', 'sha256']) {
+                const armored = Base94Max.armor(data, { checksum });
+                const at = armored.indexOf('\n\n') + 10;
+                const swapped = armored[at] === 'A' ? 'B' : 'A';
+                assert.throws(() => Base94Max.unarmor(armored.slice(0, at) + swapped + armored.slice(at + 1)), /checksum mismatch/);
+            }
+        });
+
+        it('should require a name for custom variants and accept them on unarmor', () => {
+            const variant = Base94Max.createVariant([...Base94Max.PRINTABLE.encodeMap].reverse());
+            assert.throws(() => Base94Max.armor(data, { variant }), /need a variantName/);
+            const armored = Base94Max.armor(data, { variant, variantName: 'reversed' });
+            assert.throws(() => Base94Max.unarmor(armored), /unknown variant 'reversed'/);
+            assert.deepStrictEqual(Base94Max.unarmor(armored, { variants: { reversed: variant } }).data, new Uint8Array(data));
+        });
+
+        it('should reject malformed blocks and options', () => {
+            assert.throws(() => Base94Max.unarmor('E/6*rl!'), /missing '-----BEGIN BASE94MAX-----'/);
+            assert.throws(() => Base94Max.unarmor('-----BEGIN BASE94MAX-----\nVariant: printable\n\n-----END BASE94MAX-----'), /missing 'Length' header/);
+            assert.throws(() => Base94Max.armor(data, { checksum: 'md5' }), /checksum must be one of crc32, sha256/);
+            assert.throws(() => Base94Max.armor(data, { filename: 'a\nb' }), /Filename must be a single-line string/);
+        });
+    });
+
+    // --- Test 9: Structured Errors / Strict Mode ---
+    describe('Base94MaxError and strict decoding', () => {
+
+        it('should be exported and attached to Base94Max', () => {
+            assert.strictEqual(Base94Max.Base94MaxError, Base94MaxError);
+            assert.strictEqual(new Base94MaxError('x', { code: 'INVALID_INPUT' }).name, 'Base94MaxError');
+        });
+
+        it('should report INVALID_CHAR with the position', () => {
+            const error = catchError(() => Base94Max.decode('E/6*r l!'));
+            assert.strictEqual(error.code, 'INVALID_CHAR');
+            assert.strictEqual(error.position, 5);
+        });
+
+        it('should report BAD_PADDING with the position of the final symbol', () => {
+            const error = catchError(() => Base94Max.decode('~~~'));
+            assert.strictEqual(error.code, 'BAD_PADDING');
+            assert.strictEqual(error.position, 2);
+        });
+
+        it('should report INVALID_UTF8 with the cause instead of concatenating it', () => {
+            const error = catchError(() => Base94Max.decodeText(Base94Max.encode(new Uint8Array([0xC3, 0x28]))));
+            assert.strictEqual(error.code, 'INVALID_UTF8');
+            assert.strictEqual(error.message, 'Decoded data is not valid UTF-8 text.');
+            assert(error.cause instanceof TypeError);
+        });
+
+        it('should report INVALID_INPUT, BAD_MAPS and INVALID_OPTION', () => {
+            assert.strictEqual(catchError(() => Base94Max.encode('text')).code, 'INVALID_INPUT');
+            assert.strictEqual(catchError(() => Base94Max.decode(42)).code, 'INVALID_INPUT');
+            assert.strictEqual(catchError(() => Base94Max.decode('!!', { encodeMap: [], decodeMap: [] })).code, 'BAD_MAPS');
+            assert.strictEqual(catchError(() => Base94Max.createVariant('!!')).code, 'BAD_MAPS');
+            assert.strictEqual(catchError(() => Base94Max.encode(new Uint8Array(1), Base94Max.PRINTABLE, { wrap: 1.5 })).code, 'INVALID_OPTION');
+        });
+
+        it('should report armor failures with their own codes', () => {
+            const armored = Base94Max.armor(new Uint8Array([1, 2, 3]));
+            assert.strictEqual(catchError(() => Base94Max.unarmor('nothing')).code, 'BAD_ARMOR');
+            assert.strictEqual(catchError(() => Base94Max.unarmor(armored.replace('Length: 3', 'Length: 4'))).code, 'LENGTH_MISMATCH');
+            assert.strictEqual(catchError(() => Base94Max.unarmor(armored.replace(/CRC32 \w+/, 'CRC32 00000000'))).code, 'CHECKSUM_MISMATCH');
+        });
+
+        it('should accept canonical strings in strict mode for every variant', () => {
+            const data = randomBytesSeed('Base94MaxStrictSeed')(300);
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, Base94Max.XML_SAFE, Base94Max.SHELL_SAFE]) {
+                for (let length = 0; length <= data.length; length += 7) {
+                    const encoded = Base94Max.encode(data.subarray(0, length), variant);
+                    assert.deepStrictEqual(Base94Max.decode(encoded, variant, { strict: true }), new Uint8Array(data.subarray(0, length)));
+                }
+            }
+        });
+
+        it('should reject strings that do not re-encode to themselves', () => {
+            // '~' followed by '!' is a pair whose value (93) fits into a single final symbol
+            assert.deepStrictEqual(Base94Max.decode('~!'), new Uint8Array([93]));
+            assert.strictEqual(Base94Max.encode(new Uint8Array([93])), '~');
+            const error = catchError(() => Base94Max.decode('~!', Base94Max.PRINTABLE, { strict: true }));
+            assert.strictEqual(error.code, 'NON_CANONICAL');
+            assert.strictEqual(error.position, 1); // The canonical form ends after '~'
+
+            // Exhaustively: strict accepts exactly the strings that re-encode to themselves
+            const alphabet = Base94Max.PRINTABLE.encodeMap;
+            const prefix = Base94Max.encode(new Uint8Array([7, 200, 33]));
+            for (const a of alphabet) {
+                for (const b of alphabet) {
+                    const str = prefix + a + b;
+                    let decoded;
+                    try {
+                        decoded = Base94Max.decode(str);
+                    } catch {
+                        continue;
+                    }
+                    const canonical = Base94Max.encode(decoded) === str;
+                    let accepted = true;
+                    try {
+                        Base94Max.decode(str, Base94Max.PRINTABLE, { strict: true });
+                    } catch (e) {
+                        assert.strictEqual(e.code, 'NON_CANONICAL');
+                        accepted = false;
+                    }
+                    assert.strictEqual(accepted, canonical, JSON.stringify(str));
+                }
+            }
+        });
+
+        it('should check canonical form across Decoder chunks', () => {
+            const decoder = new Base94Max.Decoder(Base94Max.PRINTABLE, { strict: true });
+            decoder.push('E/6*r');
+            decoder.push('l!');
+            assert.deepStrictEqual(decoder.flush(), new Uint8Array([111]));
+            decoder.push('~');
+            decoder.push('!');
+            assert.strictEqual(catchError(() => decoder.flush()).code, 'NON_CANONICAL');
+        });
+
+        it('should not combine strict with ignoreWhitespace', () => {
+            const error = catchError(() => Base94Max.decode('', Base94Max.PRINTABLE, { strict: true, ignoreWhitespace: true }));
+            assert.strictEqual(error.code, 'INVALID_OPTION');
+        });
+    });
+
+    // --- Test 10: encodeInto() / decodeInto() and length calculators ---
+    describe('encodeInto() / decodeInto() and length calculators', () => {
+        const variants = [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, Base94Max.XML_SAFE, Base94Max.SHELL_SAFE, Base94Max.createVariant('01')];
+        const data = randomBytesSeed('Base94MaxIntoSeed')(400);
+
+        it('should compute exact and maximum lengths for every variant', () => {
+            for (const variant of variants) {
+                for (let length = 0; length <= data.length; length += 13) {
+                    const slice = data.subarray(0, length);
+                    const encoded = Base94Max.encode(slice, variant);
+                    assert.strictEqual(Base94Max.encodedLength(slice, variant), encoded.length);
+                    assert.ok(Base94Max.maxEncodedLength(length, variant) >= encoded.length);
+                    assert.ok(Base94Max.maxDecodedLength(encoded.length, variant) >= length);
+                }
+            }
+            // All-zero bytes take the wide blocks, so the decoded bound is reached
+            const zeros = new Uint8Array(350);
+            assert.strictEqual(Base94Max.maxDecodedLength(Base94Max.encode(zeros).length), zeros.length);
+            assert.strictEqual(Base94Max.maxEncodedLength(0), 0);
+            assert.strictEqual(Base94Max.maxDecodedLength(0), 0);
+            assert.strictEqual(catchError(() => Base94Max.maxEncodedLength(-1)).code, 'INVALID_INPUT');
+            assert.strictEqual(catchError(() => Base94Max.maxDecodedLength(1.5)).code, 'INVALID_INPUT');
+        });
+
+        it('should encode into a buffer as ASCII bytes and decode them back', () => {
+            for (const variant of variants) {
+                const dest = new Uint8Array(Base94Max.maxEncodedLength(data.length, variant));
+                const { read, written } = Base94Max.encodeInto(data, dest, variant);
+                assert.strictEqual(read, data.length);
+                const encodedBytes = dest.subarray(0, written);
+                assert.strictEqual(Buffer.from(encodedBytes).toString('latin1'), Base94Max.encode(data, variant));
+
+                const out = new Uint8Array(Base94Max.maxDecodedLength(written, variant));
+                assert.deepStrictEqual(Base94Max.decodeInto(encodedBytes, out, variant), { read: written, written: data.length });
+                assert.deepStrictEqual(out.subarray(0, data.length), new Uint8Array(data));
+                assert.deepStrictEqual(Base94Max.decode(encodedBytes, variant), new Uint8Array(data));
+                assert.deepStrictEqual(Base94Max.decode(encodedBytes, variant, { strict: true }), new Uint8Array(data));
+            }
+        });
+
+        it('should decode a string into a buffer', () => {
+            const encoded = Base94Max.encodeText('Hello Into');
+            const dest = new Uint8Array(32);
+            assert.deepStrictEqual(Base94Max.decodeInto(encoded, dest), { read: encoded.length, written: 10 });
+            assert.strictEqual(Buffer.from(dest.subarray(0, 10)).toString(), 'Hello Into');
+        });
+
+        it('should report BUFFER_TOO_SMALL when the output does not fit', () => {
+            const exact = Base94Max.encodedLength(data);
+            assert.strictEqual(Base94Max.encodeInto(data, new Uint8Array(exact)).written, exact);
+            assert.strictEqual(catchError(() => Base94Max.encodeInto(data, new Uint8Array(exact - 1))).code, 'BUFFER_TOO_SMALL');
+            const encoded = Base94Max.encode(data);
+            assert.strictEqual(Base94Max.decodeInto(encoded, new Uint8Array(data.length)).written, data.length);
+            assert.strictEqual(catchError(() => Base94Max.decodeInto(encoded, new Uint8Array(data.length - 1))).code, 'BUFFER_TOO_SMALL');
+        });
+
+        it('should report invalid bytes in ASCII input by position', () => {
+            const bytes = Buffer.from(Base94Max.encode(data.subarray(0, 20)), 'latin1');
+            bytes[5] = 0xE9;
+            const error = catchError(() => Base94Max.decode(bytes));
+            assert.strictEqual(error.code, 'INVALID_CHAR');
+            assert.strictEqual(error.position, 5);
+            assert.strictEqual(catchError(() => Base94Max.decodeInto(bytes, [])).code, 'INVALID_INPUT');
+        });
+    });
+
+    // --- Test 11: Framed Blocks / Random Access / Parallel ---
+    describe('framed blocks, decodeRange() and parallel encode/decode', function () {
+        this.timeout(20000); // Starting worker threads is slow on small machines
+        const data = new Uint8Array(randomBytesSeed('Base94MaxFramedSeed')(5000));
+
+        it('should frame blocks that each encode like encode()', () => {
+            const framed = Base94Max.encodeFramed(data, Base94Max.PRINTABLE, { blockSize: 1024 });
+            const [header, ...rest] = framed.split('\n');
+            const lengths = header.split(':')[3].split(',').map(Number);
+            assert.strictEqual(header.split(':').slice(0, 3).join(':'), 'B94F:1024:5000');
+            assert.strictEqual(lengths.length, 5);
+            let offset = 0;
+            lengths.forEach((length, i) => {
+                assert.strictEqual(rest.join('\n').slice(offset, offset + length), Base94Max.encode(data.subarray(i * 1024, (i + 1) * 1024)));
+                offset += length;
+            });
+            assert.deepStrictEqual(Base94Max.decodeFramed(framed), data);
+        });
+
+        it('should round trip every variant and edge sizes', () => {
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, Base94Max.SHELL_SAFE, Base94Max.createVariant('ab\n')]) {
+                for (const length of [0, 1, 99, 100, 101, 1000]) {
+                    const framed = Base94Max.encodeFramed(data.subarray(0, length), variant, { blockSize: 100 });
+                    assert.deepStrictEqual(Base94Max.decodeFramed(framed, variant, { strict: true }), data.subarray(0, length));
+                }
+            }
+        });
+
+        it('should decode byte ranges from the overlapping blocks only', () => {
+            const framed = Base94Max.encodeFramed(data, Base94Max.PRINTABLE, { blockSize: 512 });
+            for (const [offset, length] of [[0, 0], [0, 1], [511, 2], [1000, 3000], [4999, 1], [0, 5000], [4096, 904]]) {
+                assert.deepStrictEqual(Base94Max.decodeRange(framed, offset, length), data.subarray(offset, offset + length));
+            }
+            // Corrupting the first block does not affect ranges in later blocks
+            const corrupted = framed.slice(0, framed.indexOf('\n') + 1) + '\u00e9' + framed.slice(framed.indexOf('\n') + 2);
+            assert.deepStrictEqual(Base94Max.decodeRange(corrupted, 600, 100), data.subarray(600, 700));
+            const error = catchError(() => Base94Max.decodeRange(corrupted, 0, 10));
+            assert.strictEqual(error.code, 'INVALID_CHAR');
+            assert.strictEqual(error.position, framed.indexOf('\n') + 1);
+            assert.strictEqual(catchError(() => Base94Max.decodeRange(framed, 4990, 11)).code, 'INVALID_INPUT');
+        });
+
+        it('should reject malformed frames with BAD_FRAME', () => {
+            const framed = Base94Max.encodeFramed(data, Base94Max.PRINTABLE, { blockSize: 2000 });
+            assert.strictEqual(catchError(() => Base94Max.decodeFramed(Base94Max.encode(data))).code, 'BAD_FRAME');
+            assert.strictEqual(catchError(() => Base94Max.decodeFramed(framed.slice(0, -1))).code, 'BAD_FRAME');
+            assert.strictEqual(catchError(() => Base94Max.decodeFramed(framed.replace(':5000:', ':4000:'))).code, 'BAD_FRAME');
+            // A block that decodes cleanly, but to fewer bytes than the header promises
+            const [first, second] = [Base94Max.encode(data.subarray(0, 10)), Base94Max.encode(data.subarray(10, 19))];
+            const short = `B94F:10:20:${first.length},${second.length}\n${first}${second}`;
+            const error = catchError(() => Base94Max.decodeFramed(short));
+            assert.strictEqual(error.code, 'BAD_FRAME');
+            assert.strictEqual(error.position, short.indexOf('\n') + 1 + first.length);
+            assert.strictEqual(catchError(() => Base94Max.encodeFramed(data, Base94Max.PRINTABLE, { blockSize: 0 })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.decodeFramed(framed, Base94Max.PRINTABLE, { ignoreWhitespace: true })).code, 'INVALID_OPTION');
+        });
+
+        it('should produce identical output for any number of workers', async () => {
+            const expected = Base94Max.encodeFramed(data, Base94Max.XML_SAFE, { blockSize: 700 });
+            for (const workers of [1, 2, 3, 8]) {
+                const framed = await Base94Max.encodeParallel(data, Base94Max.XML_SAFE, { blockSize: 700, workers });
+                assert.strictEqual(framed, expected);
+                assert.deepStrictEqual(await Base94Max.decodeParallel(framed, Base94Max.XML_SAFE, { workers }), data);
+            }
+            assert.strictEqual(await Base94Max.encodeParallel(data), Base94Max.encodeFramed(data));
+        });
+
+        it('should report decodeParallel errors like decodeFramed', async () => {
+            const framed = Base94Max.encodeFramed(data, Base94Max.PRINTABLE, { blockSize: 1000 });
+            const position = framed.length - 10;
+            const corrupted = framed.slice(0, position) + ' ' + framed.slice(position + 1);
+            await assert.rejects(Base94Max.decodeParallel(corrupted, Base94Max.PRINTABLE, { workers: 3 }),
+                error => error instanceof Base94MaxError && error.code === 'INVALID_CHAR' && error.position === position);
+        });
+
+        it('should not fall back to this thread when the workers themselves fail', async () => {
+            const framed = Base94Max.encodeFramed(data, Base94Max.PRINTABLE, { blockSize: 1000 });
+            // A function cannot be sent to a worker, so no worker starts
+            await assert.rejects(Base94Max.decodeParallel(framed, Base94Max.PRINTABLE, { workers: 3, hook() {} }),
+                error => !(error instanceof Base94MaxError) && error.name === 'DataCloneError');
+        });
+    });
+
+    // --- Test 12: Compression ---
+    describe('compress option / compress() / decompress()', () => {
+        const json = new TextEncoder().encode(JSON.stringify(Array.from({ length: 500 }, (_, i) => ({ id: i, level: 'info', message: `request ${i % 7} done` }))));
+        const random = new Uint8Array(randomBytesSeed('Base94MaxCompressSeed')(2000));
+        const magic = [0xF5, 0x94, 0x5A];
+
+        it('should compress with every method and inflate on decode with decompress', () => {
+            const plain = Base94Max.encode(json);
+            for (const method of ['deflate', 'gzip', 'brotli', 'auto']) {
+                const encoded = Base94Max.encode(json, Base94Max.JSON_DELETE, { compress: method });
+                assert.ok(encoded.length < plain.length / 4, `${method} should shrink JSON`);
+                assert.deepStrictEqual(Base94Max.decode(encoded, Base94Max.JSON_DELETE, { decompress: true }), json);
+                // Without the option, decode returns the container as it was encoded
+                assert.deepStrictEqual(Base94Max.decode(encoded, Base94Max.JSON_DELETE), Base94Max.compress(json, method));
+            }
+            const text = 'log line\n'.repeat(200);
+            assert.strictEqual(Base94Max.decodeText(Base94Max.encodeText(text, Base94Max.PRINTABLE, { compress: 'gzip' }), Base94Max.PRINTABLE, { decompress: true }), text);
+        });
+
+        it('should keep the smallest result with auto, including no compression', () => {
+            const sizes = ['deflate', 'gzip', 'brotli'].map(method => Base94Max.compress(json, method).length);
+            assert.strictEqual(Base94Max.compress(json, 'auto').length, Math.min(...sizes));
+            // Random data does not compress, so auto stores it as it is
+            const stored = Base94Max.compress(random, 'auto');
+            assert.deepStrictEqual([...stored.subarray(0, 4)], [...magic, 0]);
+            assert.deepStrictEqual(stored.subarray(4), random);
+            assert.deepStrictEqual(Base94Max.decode(Base94Max.encode(random, Base94Max.PRINTABLE, { compress: 'auto' }), Base94Max.PRINTABLE, { decompress: true }), random);
+        });
+
+        it('should write the marker, method and length before the stream', () => {
+            const container = Base94Max.compress(json, 'deflate');
+            assert.deepStrictEqual([...container.subarray(0, 4)], [...magic, 1]);
+            assert.ok(Base94Max.isCompressed(container));
+            assert.ok(!Base94Max.isCompressed(json));
+            assert.deepStrictEqual(Base94Max.decompress(container), json);
+            assert.strictEqual(catchError(() => Base94Max.decompress(json)).code, 'BAD_COMPRESSION'); // Not compressed
+            assert.strictEqual(catchError(() => Base94Max.decode(Base94Max.encode(json), Base94Max.PRINTABLE, { decompress: true })).code, 'BAD_COMPRESSION');
+            assert.strictEqual(Base94Max.compress(json, 'none'), json);
+        });
+
+        it('should inflate only when asked to, as no string marks itself as compressed', () => {
+            // Plain data that happens to be a valid container: guessing would turn it into something else
+            const plain = Base94Max.compress(new TextEncoder().encode('inner'), 'deflate');
+            const encoded = Base94Max.encode(plain, Base94Max.PRINTABLE);
+            assert.deepStrictEqual(Base94Max.decode(encoded), plain);
+            assert.strictEqual(Base94Max.decodeText(encoded, Base94Max.PRINTABLE, { decompress: true }), 'inner');
+            // The compressed string uses the same alphabet as any other, so only the option tells them apart
+            const compressed = Base94Max.encode(json, Base94Max.JSON_DELETE, { compress: 'deflate' });
+            assert.ok(Base94Max.isValid(compressed, Base94Max.JSON_DELETE));
+            assert.deepStrictEqual(Base94Max.decode(compressed, Base94Max.JSON_DELETE), Base94Max.compress(json, 'deflate'));
+        });
+
+        it('should treat data that starts with the marker like any other data on every path', async () => {
+            for (const tricky of [new Uint8Array([...magic, 1, 2, 3]), new Uint8Array([...magic, 0, 9, 9]), new Uint8Array(magic)]) {
+                const encoded = Base94Max.encode(tricky);
+                const encoder = new Base94Max.Encoder();
+                assert.strictEqual(encoder.push(tricky.subarray(0, 2)) + encoder.push(tricky.subarray(2)) + encoder.flush(), encoded);
+                const dest = new Uint8Array(Base94Max.maxEncodedLength(tricky.length));
+                assert.strictEqual(Buffer.from(dest.subarray(0, Base94Max.encodeInto(tricky, dest).written)).toString('latin1'), encoded);
+                let streamed = '';
+                const readable = new ReadableStream({ start(controller) { controller.enqueue(tricky); controller.close(); } });
+                for await (const chunk of readable.pipeThrough(Base94Max.createEncoderStream())) streamed += chunk;
+                assert.strictEqual(streamed, encoded);
+
+                assert.deepStrictEqual(Base94Max.decode(encoded), tricky);
+                assert.ok(Base94Max.isValid(encoded));
+                const decoder = new Base94Max.Decoder();
+                assert.deepStrictEqual(new Uint8Array([...decoder.push(encoded.slice(0, 3)), ...decoder.push(encoded.slice(3)), ...decoder.flush()]), tricky);
+                const out = new Uint8Array(Base94Max.maxDecodedLength(encoded.length));
+                assert.deepStrictEqual(out.subarray(0, Base94Max.decodeInto(encoded, out).written), tricky);
+                const parts = [];
+                const encodedReadable = new ReadableStream({ start(controller) { controller.enqueue(encoded); controller.close(); } });
+                for await (const chunk of encodedReadable.pipeThrough(Base94Max.createDecoderStream())) parts.push(...chunk);
+                assert.deepStrictEqual(new Uint8Array(parts), tricky);
+                assert.deepStrictEqual(Base94Max.decodeFramed(Base94Max.encodeFramed(tricky)), tricky);
+            }
+            assert.strictEqual(catchError(() => new Base94Max.Decoder(Base94Max.PRINTABLE, { decompress: true })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.decodeInto('', new Uint8Array(1), Base94Max.PRINTABLE, { decompress: true })).code, 'INVALID_OPTION');
+        });
+
+        it('should cap the decompressed size', () => {
+            const bomb = Base94Max.encode(new Uint8Array(10 * 1024 * 1024), Base94Max.PRINTABLE, { compress: 'deflate' });
+            assert.ok(bomb.length < 20000);
+            const error = catchError(() => Base94Max.decode(bomb, Base94Max.PRINTABLE, { decompress: true, maxDecompressedLength: 1024 * 1024 }));
+            assert.strictEqual(error.code, 'DECOMPRESSION_LIMIT');
+            assert.strictEqual(Base94Max.decode(bomb, Base94Max.PRINTABLE, { decompress: true }).length, 10 * 1024 * 1024);
+            assert.ok(Base94Max.decode(bomb).length < 20000); // Not inflated without the option
+
+            // A stream that inflates beyond its declared length is cut off, not buffered
+            const container = Base94Max.compress(new Uint8Array(100000), 'deflate');
+            const lying = new Uint8Array([...magic, 1, 100, ...container.subarray(7)]);
+            assert.strictEqual(catchError(() => Base94Max.decompress(lying)).code, 'BAD_COMPRESSION');
+        });
+
+        it('should reject corrupt containers and invalid options', () => {
+            const container = Base94Max.compress(json, 'gzip');
+            const corrupt = container.slice();
+            corrupt[corrupt.length - 5] ^= 0xFF; // Breaks the gzip CRC
+            const encoder = new Base94Max.Encoder(); // Encodes the container as it is, like compress: 'gzip' would
+            assert.strictEqual(catchError(() => Base94Max.decode(encoder.push(corrupt) + encoder.flush(), Base94Max.PRINTABLE, { decompress: true })).code, 'BAD_COMPRESSION');
+            assert.strictEqual(catchError(() => Base94Max.decompress(new Uint8Array([...magic, 9, 0]))).code, 'BAD_COMPRESSION');
+            assert.strictEqual(catchError(() => Base94Max.decompress(new Uint8Array([...magic, 1, 0x80]))).code, 'BAD_COMPRESSION');
+            assert.strictEqual(catchError(() => Base94Max.encode(json, Base94Max.PRINTABLE, { compress: 'lzma' })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => new Base94Max.Encoder(Base94Max.PRINTABLE, { compress: 'gzip' })).code, 'INVALID_OPTION');
+        });
+    });
+
+    // --- Test 13: Binary Input Types / Output Types ---
+    describe('binary input and output types', () => {
+        const bytes = new Uint8Array([0, 1, 2, 250, 251, 252, 253, 254, 255, 128, 64, 32]);
+        const expected = Base94Max.encode(bytes);
+
+        it('should encode every kind of binary input like the equivalent Uint8Array', () => {
+            const shared = new SharedArrayBuffer(bytes.length);
+            new Uint8Array(shared).set(bytes);
+            const padded = new Uint8Array(bytes.length + 4);
+            padded.set(bytes, 2);
+            const inputs = {
+                'ArrayBuffer': bytes.slice().buffer,
+                'SharedArrayBuffer': shared,
+                'SharedArrayBuffer-backed Uint8Array': new Uint8Array(shared),
+                'DataView with offset': new DataView(padded.buffer, 2, bytes.length),
+                'Uint8Array subarray': padded.subarray(2, 2 + bytes.length),
+                'Int16Array': new Int16Array(bytes.slice().buffer),
+                'Float32Array': new Float32Array(bytes.slice().buffer),
+                'Uint8ClampedArray': new Uint8ClampedArray(bytes),
+                'Buffer': Buffer.from(bytes),
+                'cross-realm Uint8Array': vm.runInNewContext(`new Uint8Array([${bytes}])`),
+                'cross-realm ArrayBuffer': vm.runInNewContext(`new Uint8Array([${bytes}]).buffer`)
+            };
+            for (const [name, input] of Object.entries(inputs)) {
+                assert.strictEqual(Base94Max.encode(input), expected, name);
+                assert.strictEqual(Base94Max.encodedLength(input), expected.length, name);
+                const encoder = new Base94Max.Encoder();
+                assert.strictEqual(encoder.push(input) + encoder.flush(), expected, name);
+            }
+            assert.ok(!(inputs['cross-realm Uint8Array'] instanceof Uint8Array)); // The realm really differs
+        });
+
+        it('should decode ASCII bytes of any binary type and write into any buffer', () => {
+            const ascii = new TextEncoder().encode(expected);
+            assert.deepStrictEqual(Base94Max.decode(ascii.buffer), bytes);
+            assert.deepStrictEqual(Base94Max.decode(vm.runInNewContext(`new Uint8Array([${ascii}])`)), bytes);
+            const dest = new ArrayBuffer(64);
+            assert.strictEqual(Base94Max.decodeInto(expected, dest).written, bytes.length);
+            assert.deepStrictEqual(new Uint8Array(dest, 0, bytes.length), bytes);
+        });
+
+        it('should return the requested output type', () => {
+            const asBuffer = Base94Max.decode(expected, Base94Max.PRINTABLE, { output: 'buffer' });
+            assert.ok(Buffer.isBuffer(asBuffer));
+            assert.deepStrictEqual([...asBuffer], [...bytes]);
+            const asArrayBuffer = Base94Max.decode(expected, Base94Max.PRINTABLE, { output: 'arraybuffer' });
+            assert.ok(asArrayBuffer instanceof ArrayBuffer);
+            assert.deepStrictEqual(new Uint8Array(asArrayBuffer), bytes);
+            assert.deepStrictEqual(Base94Max.decode(expected, Base94Max.PRINTABLE, { output: 'uint8array' }), bytes);
+
+            const framed = Base94Max.encodeFramed(bytes, Base94Max.PRINTABLE, { blockSize: 5 });
+            assert.deepStrictEqual(new Uint8Array(Base94Max.decodeRange(framed, 3, 4, Base94Max.PRINTABLE, { output: 'arraybuffer' })), bytes.subarray(3, 7));
+            assert.ok(Buffer.isBuffer(Base94Max.decodeFramed(framed, Base94Max.PRINTABLE, { output: 'buffer' })));
+            const decoder = new Base94Max.Decoder(Base94Max.PRINTABLE, { output: 'buffer' });
+            assert.ok(Buffer.isBuffer(decoder.push(expected)));
+            assert.strictEqual(catchError(() => Base94Max.decode(expected, Base94Max.PRINTABLE, { output: 'blob' })).code, 'INVALID_OPTION');
+        });
+
+        it('should encode Blobs and decode to Blobs', async () => {
+            const blob = new Blob([bytes.subarray(0, 5), bytes.subarray(5)]);
+            assert.strictEqual(await Base94Max.encodeBlob(blob), expected);
+            const decoded = await Base94Max.decodeToBlob(expected, Base94Max.PRINTABLE, { type: 'application/octet-stream' });
+            assert.strictEqual(decoded.type, 'application/octet-stream');
+            assert.deepStrictEqual(new Uint8Array(await decoded.arrayBuffer()), bytes);
+            await assert.rejects(Base94Max.encodeBlob(bytes), error => error.code === 'INVALID_INPUT');
+            assert.match(catchError(() => Base94Max.encode(blob)).message, /encodeBlob/);
+        });
+
+        it('should still reject non-binary input', () => {
+            for (const input of [[1, 2, 3], 'text', null, undefined, { length: 3 }]) {
+                assert.strictEqual(catchError(() => Base94Max.encode(input)).code, 'INVALID_INPUT');
+            }
+            assert.strictEqual(catchError(() => Base94Max.decode([33, 33])).code, 'INVALID_INPUT');
+        });
+    });
+
+    // --- Test 14: JSON Integration ---
+    describe('JSON replacer/reviver and stringify()/parse()', () => {
+        const blob = new Uint8Array(randomBytesSeed('Base94MaxJsonSeed')(300));
+        const value = {
+            name: 'report',
+            payload: blob,
+            nested: { list: [new Uint8Array([1, 2, 3]), 'text', 42, null, [new Uint8Array(0)]], flag: true },
+            buffer: Buffer.from('buffer bytes')
+        };
+
+        it('should round trip binary values in nested objects and arrays', () => {
+            const json = Base94Max.stringify(value);
+            const parsed = Base94Max.parse(json);
+            assert.deepStrictEqual(parsed.payload, blob);
+            assert.deepStrictEqual(parsed.nested.list, [new Uint8Array([1, 2, 3]), 'text', 42, null, [new Uint8Array(0)]]);
+            assert.strictEqual(parsed.nested.flag, true);
+            assert.deepStrictEqual(parsed.buffer, new Uint8Array(Buffer.from('buffer bytes'))); // Not {type, data}
+            assert.deepStrictEqual(JSON.parse(json).nested.list[0], { $b94: Base94Max.encode(new Uint8Array([1, 2, 3]), Base94Max.JSON_DELETE) });
+        });
+
+        it('should work as plain replacer and reviver with a prefix', () => {
+            const options = { prefix: 'b94:' };
+            const json = JSON.stringify(value, Base94Max.jsonReplacer(options), 2);
+            assert.strictEqual(JSON.parse(json).payload, 'b94:' + Base94Max.encode(blob, Base94Max.JSON_DELETE));
+            const parsed = JSON.parse(json, Base94Max.jsonReviver({ ...options, output: 'buffer' }));
+            assert.ok(Buffer.isBuffer(parsed.payload));
+            assert.deepStrictEqual([...parsed.payload], [...blob]);
+            assert.strictEqual(parsed.name, 'report');
+        });
+
+        it('should support a custom tag and variant', () => {
+            const options = { tag: '@bytes', variant: Base94Max.XML_SAFE };
+            const json = Base94Max.stringify({ data: blob }, options);
+            assert.ok(json.startsWith('{"data":{"@bytes":"'));
+            assert.deepStrictEqual(Base94Max.parse(json, options).data, blob);
+            // Objects with more keys than the tag are left alone
+            assert.deepStrictEqual(Base94Max.parse('{"$b94":"x","other":1}'), { $b94: 'x', other: 1 });
+        });
+
+        it('should never need JSON escaping with JSON_DELETE', () => {
+            for (const char of Base94Max.JSON_DELETE.encodeMap) {
+                assert.strictEqual(JSON.stringify(char), `"${char}"`, `character ${char.charCodeAt(0)}`);
+            }
+            for (let length = 0; length < 200; length += 7) {
+                const data = blob.subarray(0, length);
+                const encoded = Base94Max.encode(data, Base94Max.JSON_DELETE);
+                assert.strictEqual(Base94Max.stringify({ data }), `{"data":{"$b94":"${encoded}"}}`);
+            }
+        });
+
+        it('should report undecodable tagged values and invalid options', () => {
+            assert.strictEqual(catchError(() => Base94Max.parse('{"$b94":"\\u00e9"}')).code, 'INVALID_CHAR');
+            assert.strictEqual(catchError(() => Base94Max.jsonReplacer({ tag: '' })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.jsonReviver({ output: 'blob' })).code, 'INVALID_OPTION');
+        });
+    });
+
+    // --- Test 15: Validation / Variant Detection ---
+    describe('isValid() / detectVariant()', () => {
+        const variants = { printable: Base94Max.PRINTABLE, 'json-delete': Base94Max.JSON_DELETE, 'xml-safe': Base94Max.XML_SAFE, 'shell-safe': Base94Max.SHELL_SAFE, binary: Base94Max.createVariant('01') };
+
+        it('should agree with decode() on every short string', () => {
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.createVariant('abc')]) {
+                const chars = [...variant.encodeMap.slice(0, 5), ' ', '\u00e9'];
+                const check = (str, depth) => {
+                    let decodes = true;
+                    try {
+                        Base94Max.decode(str, variant);
+                    } catch {
+                        decodes = false;
+                    }
+                    assert.strictEqual(Base94Max.isValid(str, variant), decodes, JSON.stringify(str));
+                    if (depth < 4) chars.forEach(char => check(str + char, depth + 1));
+                };
+                check('', 0);
+            }
+        });
+
+        it('should accept encoder output and respect ignoreWhitespace', () => {
+            const data = randomBytesSeed('Base94MaxValidSeed')(500);
+            for (const variant of Object.values(variants)) {
+                const encoded = Base94Max.encode(data, variant);
+                assert.ok(Base94Max.isValid(encoded, variant));
+                assert.ok(Base94Max.isValid(new TextEncoder().encode(encoded), variant));
+            }
+            const wrapped = Base94Max.encode(data, Base94Max.PRINTABLE, { wrap: 40 });
+            assert.ok(!Base94Max.isValid(wrapped));
+            assert.ok(Base94Max.isValid(wrapped, Base94Max.PRINTABLE, { ignoreWhitespace: true }));
+            assert.strictEqual(catchError(() => Base94Max.isValid(42)).code, 'INVALID_INPUT');
+        });
+
+        it('should rank the matching variants by likelihood', () => {
+            const data = randomBytesSeed('Base94MaxDetectSeed')(200);
+            const names = str => Base94Max.detectVariant(str, variants).map(match => match.name);
+            for (const [name, variant] of Object.entries(variants)) {
+                for (let length = 0; length < 40; length++) {
+                    const matches = Base94Max.detectVariant(Base94Max.encode(data.subarray(0, length), variant), variants);
+                    // Strings of a smaller alphabet may also be valid in larger ones, but rank behind it
+                    assert.ok(matches.some(match => match.name === name));
+                    assert.ok(matches[0].variant.encodeMap.length <= variant.encodeMap.length);
+                    const sizes = matches.map(match => match.variant.encodeMap.length);
+                    assert.deepStrictEqual(sizes, [...sizes].sort((a, b) => a - b));
+                }
+            }
+            assert.deepStrictEqual(names(Base94Max.encode(data, Base94Max.SHELL_SAFE))[0], 'shell-safe');
+            assert.deepStrictEqual(names(Base94Max.encode(data, Base94Max.PRINTABLE)), ['printable']);
+            assert.deepStrictEqual(names(Base94Max.encode(data, Base94Max.JSON_DELETE)), ['json-delete']);
+            assert.deepStrictEqual(names('not\u00e9valid'), []);
+            // Without candidates, the predefined variants are tried
+            const [best] = Base94Max.detectVariant(Base94Max.encode(data, Base94Max.XML_SAFE));
+            assert.deepStrictEqual(best, { name: 'xml-safe', variant: Base94Max.XML_SAFE });
+        });
+    });
+
+    // --- Test 16: Codec Registry / Transcoding ---
+    describe('getCodec() / transcode()', () => {
+        const codecNames = ['base94max', 'hex', 'base64', 'base64url', 'ascii85', 'z85'];
+
+        it('should match known vectors', () => {
+            const text = new TextEncoder().encode('Man is distinguished');
+            assert.strictEqual(Base94Max.getCodec('hex').encode(new Uint8Array([0, 15, 255])), '000fff');
+            assert.strictEqual(Base94Max.getCodec('base64').encode(text), 'TWFuIGlzIGRpc3Rpbmd1aXNoZWQ=');
+            assert.strictEqual(Base94Max.getCodec('base64url').encode(new Uint8Array([251, 255])), '-_8');
+            assert.strictEqual(Base94Max.getCodec('ascii85').encode(text), '9jqo^BlbD-BleB1DJ+*+F(f,q');
+            assert.strictEqual(Base94Max.getCodec('ascii85').encode(new Uint8Array([0, 0, 0, 0, 1])), 'z!<');
+            // The example from the Z85 spec (ZeroMQ RFC 32)
+            const z85 = new Uint8Array([0x86, 0x4F, 0xD2, 0x6F, 0xB5, 0x59, 0xF7, 0x5B]);
+            assert.strictEqual(Base94Max.getCodec('z85').encode(z85), 'HelloWorld');
+            assert.deepStrictEqual(Base94Max.getCodec('z85').decode('HelloWorld'), z85);
+            assert.deepStrictEqual(Base94Max.getCodec('ascii85').decode('<~9jqo^BlbD-BleB1DJ+*+F(f,q~>'), text);
+            assert.deepStrictEqual(Base94Max.getCodec('hex').decode('000FfF'), new Uint8Array([0, 15, 255]));
+        });
+
+        it('should round-trip every codec and agree with Buffer', () => {
+            const random = randomBytesSeed('Base94MaxCodecSeed');
+            for (let length = 0; length < 70; length++) {
+                const data = random(length);
+                assert.strictEqual(Base94Max.getCodec('base64').encode(data), Buffer.from(data).toString('base64'));
+                assert.strictEqual(Base94Max.getCodec('base64url').encode(data), Buffer.from(data).toString('base64url'));
+                assert.strictEqual(Base94Max.getCodec('hex').encode(data), Buffer.from(data).toString('hex'));
+                for (const name of codecNames) {
+                    if (name === 'z85' && length % 4 !== 0) continue;
+                    const codec = Base94Max.getCodec(name);
+                    assert.deepStrictEqual(codec.decode(codec.encode(data)), new Uint8Array(data), `${name}, ${length} bytes`);
+                }
+            }
+        });
+
+        it('should transcode between codecs', () => {
+            const data = randomBytesSeed('Base94MaxTranscodeSeed')(100);
+            const base64 = Buffer.from(data).toString('base64');
+            assert.strictEqual(Base94Max.transcode(base64, { from: 'base64', to: 'base94max' }), Base94Max.encode(data));
+            assert.strictEqual(Base94Max.transcode('SGVsbG8=', { from: 'base64', to: 'base94max' }), 'E/6*rl!');
+            const json = Base94Max.transcode(base64, { from: 'base64', to: 'base94max', toOptions: { variant: Base94Max.JSON_DELETE } });
+            assert.strictEqual(json, Base94Max.encode(data, Base94Max.JSON_DELETE));
+            assert.strictEqual(Base94Max.transcode(json, { from: 'base94max', to: 'z85', fromOptions: { variant: Base94Max.JSON_DELETE } }),
+                Base94Max.getCodec('z85').encode(data));
+            const wrapped = base64.replace(/.{20}/g, '$&\r\n');
+            assert.strictEqual(Base94Max.transcode(wrapped, { from: 'base64', to: 'hex', fromOptions: { ignoreWhitespace: true } }),
+                Buffer.from(data).toString('hex'));
+        });
+
+        it('should report invalid input with its position', () => {
+            const decode = (name, str) => catchError(() => Base94Max.getCodec(name).decode(str));
+            assert.deepStrictEqual([decode('base64', 'SGV!').code, decode('base64', 'SGV!').position], ['INVALID_CHAR', 3]);
+            assert.deepStrictEqual(Base94Max.getCodec('base64').decode('SGVsbG8'), new TextEncoder().encode('Hello')); // Unpadded
+            assert.strictEqual(decode('base64', 'SGVsbG9=').code, 'BAD_PADDING'); // Non-zero trailing bits
+            assert.strictEqual(decode('base64', 'SGVsbG8==').code, 'BAD_PADDING');
+            assert.strictEqual(decode('base64', 'S').code, 'BAD_PADDING');
+            assert.strictEqual(decode('base64', 'SG=VsbG8').code, 'INVALID_CHAR');
+            assert.strictEqual(decode('base64url', 'ab+/').code, 'INVALID_CHAR');
+            assert.deepStrictEqual([decode('hex', 'abc').code, decode('hex', 'abc').position], ['BAD_PADDING', 2]);
+            assert.deepStrictEqual([decode('hex', 'a g').code, decode('hex', 'a g').position], ['INVALID_CHAR', 1]);
+            assert.strictEqual(decode('ascii85', 's8W-"').code, 'INVALID_CHAR'); // More than 32 bits
+            assert.strictEqual(decode('ascii85', '9jqo^B').code, 'BAD_PADDING');
+            assert.strictEqual(Base94Max.getCodec('z85').decode('Hello').length, 4);
+            assert.strictEqual(decode('z85', 'HelloWor').code, 'BAD_PADDING');
+            assert.strictEqual(decode('z85', 'Hello"orld').position, 5);
+            assert.strictEqual(catchError(() => Base94Max.getCodec('z85').encode(new Uint8Array(3))).code, 'INVALID_INPUT');
+            assert.strictEqual(catchError(() => Base94Max.getCodec('base64').decode(new Uint8Array(4))).code, 'INVALID_INPUT');
+        });
+
+        it('should look up and register codecs by name', () => {
+            assert.deepStrictEqual(Base94Max.listCodecs().slice(0, codecNames.length), codecNames);
+            assert.strictEqual(catchError(() => Base94Max.getCodec('base32')).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.transcode('00', { from: 'hex' })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.registerCodec('hex', { encode() {}, decode() {} })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.registerCodec('reverse-hex', {})).code, 'INVALID_OPTION');
+            Base94Max.registerCodec('reverse-hex', {
+                encode: bytes => Base94Max.getCodec('hex').encode(bytes).split('').reverse().join(''),
+                decode: str => Base94Max.getCodec('hex').decode(str.split('').reverse().join(''))
+            });
+            assert.strictEqual(Base94Max.transcode('ff00', { from: 'hex', to: 'reverse-hex' }), '00ff');
+            assert.ok(Base94Max.listCodecs().includes('reverse-hex'));
+        });
+    });
+
+    // --- Test 17: Encoding Statistics ---
+    describe('analyze()', () => {
+        const variants = { printable: Base94Max.PRINTABLE, 'json-delete': Base94Max.JSON_DELETE, binary: Base94Max.createVariant('01'), base85: Base94Max.createVariant(Base94Max.PRINTABLE.encodeMap.slice(0, 85)) };
+
+        it('should count the blocks that make up the encoding', () => {
+            const random = randomBytesSeed('Base94MaxAnalyzeSeed');
+            for (const [name, variant] of Object.entries(variants)) {
+                for (const length of [0, 1, 2, 3, 7, 100, 1000]) {
+                    const data = random(length);
+                    const stats = Base94Max.analyze(data, variant);
+                    const encoded = Base94Max.encode(data, variant);
+                    assert.strictEqual(stats.byteLength, length);
+                    assert.strictEqual(stats.encodedLength, encoded.length, `${name}, ${length} bytes`);
+                    assert.strictEqual(2 * (stats.narrowBlocks + stats.wideBlocks) + stats.tailSymbols, encoded.length);
+                    assert.ok(stats.tailSymbols >= 0 && stats.tailSymbols <= 2);
+                    const dataBits = stats.narrowBlocks * stats.narrowBits + stats.wideBlocks * stats.wideBits;
+                    assert.ok(dataBits <= length * 8 && length * 8 - dataBits < stats.wideBits + 8);
+                }
+            }
+            const printable = Base94Max.analyze(random(10), Base94Max.PRINTABLE);
+            assert.deepStrictEqual([printable.narrowBits, printable.wideBits], [13, 14]);
+            const base85 = Base94Max.analyze(random(10), variants.base85);
+            assert.deepStrictEqual([base85.narrowBits, base85.wideBits], [12, 13]);
+        });
+
+        it('should report bits per character and the Base64/Base85 lengths', () => {
+            const data = randomBytesSeed('Base94MaxAnalyzeSeed2')(1001);
+            const stats = Base94Max.analyze(data);
+            assert.strictEqual(stats.base64Length, Buffer.from(data).toString('base64').length);
+            assert.strictEqual(stats.base85Length, Base94Max.getCodec('ascii85').encode(data).length);
+            assert.strictEqual(stats.bitsPerChar, 1001 * 8 / stats.encodedLength);
+            assert.strictEqual(stats.efficiency, stats.bitsPerChar / 8);
+            assert.ok(stats.efficiency > 0.81 && stats.efficiency < 0.83);
+            // Zero bytes only take wide blocks
+            const zeros = Base94Max.analyze(new Uint8Array(700));
+            assert.strictEqual(zeros.narrowBlocks, 0);
+            assert.strictEqual(zeros.encodedLength, 800);
+            assert.strictEqual(zeros.efficiency, 0.875);
+            const empty = Base94Max.analyze(new Uint8Array(0));
+            assert.deepStrictEqual([empty.encodedLength, empty.bitsPerChar, empty.base64Length, empty.base85Length], [0, 0, 0, 0]);
+            assert.strictEqual(catchError(() => Base94Max.analyze('text')).code, 'INVALID_INPUT');
+        });
+    });
+
+    // --- Test 18: Split Parts / Reassembly ---
+    describe('split() / Reassembler', () => {
+        const data = randomBytesSeed('Base94MaxSplitSeed')(3000);
+        const shuffle = (array, random) => {
+            const order = random(array.length);
+            return array.map((item, i) => [order[i], item]).sort((a, b) => a[0] - b[0]).map(([, item]) => item);
+        };
+
+        it('should keep every part within maxPartLength and reassemble in any order', () => {
+            const random = randomBytesSeed('Base94MaxShuffleSeed');
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, Base94Max.createVariant('0123456789')]) {
+                for (const maxPartLength of [40, 100, 161, 2953, 100000]) {
+                    const parts = Base94Max.split(data, { maxPartLength, variant });
+                    assert.ok(parts.every(part => part.length <= maxPartLength));
+                    assert.ok(parts.every(part => Base94Max.isValid(part, variant)));
+                    const reassembler = new Base94Max.Reassembler(variant);
+                    for (const part of shuffle(parts, random)) {
+                        assert.strictEqual(reassembler.add(part), true);
+                    }
+                    assert.strictEqual(reassembler.complete, true);
+                    assert.deepStrictEqual(reassembler.assemble(), new Uint8Array(data));
+                }
+            }
+            assert.strictEqual(Base94Max.split(data, { maxPartLength: 100000 }).length, 1);
+            const [empty] = Base94Max.split(new Uint8Array(0), { maxPartLength: 30 });
+            const reassembler = new Base94Max.Reassembler();
+            reassembler.add(empty);
+            assert.deepStrictEqual(reassembler.assemble(), new Uint8Array(0));
+        });
+
+        it('should use the CRC32 of the data as the default message id', () => {
+            const parts = Base94Max.split(data, { maxPartLength: 200 });
+            assert.deepStrictEqual(Base94Max.split(data, { maxPartLength: 200 }), parts);
+            const other = Base94Max.split(data, { maxPartLength: 200, id: 7 });
+            assert.notDeepStrictEqual(other, parts);
+            const reassembler = new Base94Max.Reassembler();
+            reassembler.add(other[0]);
+            assert.strictEqual(reassembler.id, 7);
+            assert.strictEqual(reassembler.total, parts.length);
+        });
+
+        it('should ignore duplicates and report missing parts', () => {
+            const parts = Base94Max.split(data, { maxPartLength: 150 });
+            const reassembler = new Base94Max.Reassembler();
+            assert.deepStrictEqual([reassembler.missing, reassembler.total, reassembler.complete], [[], undefined, false]);
+            assert.strictEqual(catchError(() => reassembler.assemble()).code, 'MISSING_PARTS');
+            for (const index of [0, 2, 5, 2, 0]) reassembler.add(parts[index]);
+            assert.strictEqual(reassembler.received, 3);
+            assert.strictEqual(reassembler.add(parts[5]), false);
+            const missing = Array.from({ length: parts.length }, (_, i) => i).filter(i => ![0, 2, 5].includes(i));
+            assert.deepStrictEqual(reassembler.missing, missing);
+            const error = catchError(() => reassembler.assemble());
+            assert.strictEqual(error.code, 'MISSING_PARTS');
+            assert.match(error.message, /missing parts 1, 3, 4, 6/);
+            missing.forEach(index => reassembler.add(parts[index]));
+            assert.deepStrictEqual(reassembler.assemble(), new Uint8Array(data));
+        });
+
+        it('should reject corrupt, foreign and conflicting parts', () => {
+            const parts = Base94Max.split(data, { maxPartLength: 150 });
+            const reassembler = new Base94Max.Reassembler();
+            reassembler.add(parts[1]);
+            // Swap two characters inside the part: still decodes, but the CRC32 fails
+            const corrupt = parts[2].slice(0, 20) + parts[2][21] + parts[2][20] + parts[2].slice(22);
+            assert.notStrictEqual(corrupt, parts[2]);
+            assert.strictEqual(catchError(() => reassembler.add(corrupt)).code, 'CHECKSUM_MISMATCH');
+            const foreign = Base94Max.split(data.subarray(1), { maxPartLength: 150 });
+            assert.strictEqual(catchError(() => reassembler.add(foreign[0])).code, 'BAD_PART');
+            const conflicting = Base94Max.split(data.subarray(0, 2000), { maxPartLength: 150, id: reassembler.id });
+            assert.strictEqual(catchError(() => reassembler.add(conflicting[0])).code, 'BAD_PART'); // Other total
+            assert.strictEqual(catchError(() => reassembler.add(Base94Max.encode(new Uint8Array(20)))).code, 'BAD_PART');
+            assert.strictEqual(catchError(() => reassembler.add('not base94max')).code, 'INVALID_CHAR');
+            assert.strictEqual(reassembler.received, 1);
+        });
+
+        it('should validate the options', () => {
+            assert.strictEqual(catchError(() => Base94Max.split(data)).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.split(data, { maxPartLength: 0 })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.split(data, { maxPartLength: 16 })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.split(data, { maxPartLength: 100, id: -1 })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.split(data, { maxPartLength: 100, id: 2 ** 32 })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.split('text', { maxPartLength: 100 })).code, 'INVALID_INPUT');
+            assert.strictEqual(catchError(() => new Base94Max.Reassembler(Base94Max.PRINTABLE, { maxParts: 0 })).code, 'INVALID_OPTION');
+        });
+
+        it('should refuse parts that claim more than maxParts parts', () => {
+            const crc32 = (bytes) => {
+                let crc = 0xFFFFFFFF;
+                for (const byte of bytes) {
+                    crc ^= byte;
+                    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+                }
+                return (crc ^ 0xFFFFFFFF) >>> 0;
+            };
+            // A well-formed part of a message with 2 ** 40 parts: index 0, total as LEB128, one data byte
+            const body = [0x94, 0x50, 0, 0, 0, 7, 0, 0x80, 0x80, 0x80, 0x80, 0x80, 0x20, 42];
+            const bytes = new Uint8Array(body.length + 4);
+            bytes.set(body);
+            new DataView(bytes.buffer).setUint32(body.length, crc32(body));
+            const hostile = Base94Max.encode(bytes);
+            const reassembler = new Base94Max.Reassembler();
+            const error = catchError(() => reassembler.add(hostile));
+            assert.strictEqual(error.code, 'BAD_PART');
+            assert.match(error.message, /claims 1099511627776 parts, more than maxParts \(65536\)/);
+            assert.deepStrictEqual([reassembler.total, reassembler.missing], [undefined, []]);
+
+            const parts = Base94Max.split(data, { maxPartLength: 150 });
+            assert.strictEqual(catchError(() => new Base94Max.Reassembler(Base94Max.PRINTABLE, { maxParts: parts.length - 1 }).add(parts[0])).code, 'BAD_PART');
+            const exact = new Base94Max.Reassembler(Base94Max.PRINTABLE, { maxParts: parts.length });
+            parts.forEach(part => exact.add(part));
+            assert.deepStrictEqual(exact.assemble(), new Uint8Array(data));
+        });
+    });
+
+    // --- Test 19: Signed Tokens ---
+    describe('token.sign() / token.verify()', () => {
+        const secret = 'correct horse battery staple';
+        const payload = new TextEncoder().encode('{"session":"abc","user":42}');
+        const rejection = async (promise) => {
+            try {
+                await promise;
+            } catch (e) {
+                assert.ok(e instanceof Base94MaxError, `expected a Base94MaxError, got ${e}`);
+                return e;
+            }
+            assert.fail('expected a rejection');
+        };
+
+        it('should load through require(), as nothing is imported with top-level await', async function () {
+            if (!process.features.require_module) this.skip(); // Node.js without require(esm)
+            const required = createRequire(import.meta.url)('../index.js');
+            assert.strictEqual(required.default, Base94Max);
+            const token = await required.default.token.sign(payload, secret);
+            assert.deepStrictEqual((await Base94Max.token.verify(token, secret)).payload, payload);
+        });
+
+        it('should sign and verify in every variant', async () => {
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, Base94Max.SHELL_SAFE]) {
+                const token = await Base94Max.token.sign(payload, secret, { variant });
+                assert.ok(Base94Max.isValid(token, variant));
+                assert.strictEqual(Base94Max.decode(token, variant).length, 2 + payload.length + 32); // Header, payload, HMAC
+                assert.deepStrictEqual(await Base94Max.token.verify(token, secret, { variant }), { payload, encrypted: false });
+            }
+            const binaryKey = randomBytesSeed('Base94MaxTokenKey')(32);
+            const token = await Base94Max.token.sign(new Uint8Array(0), binaryKey);
+            assert.deepStrictEqual((await Base94Max.token.verify(token, binaryKey)).payload, new Uint8Array(0));
+        });
+
+        it('should encrypt the payload', async () => {
+            const token = await Base94Max.token.sign(payload, secret, { encrypt: true });
+            const other = await Base94Max.token.sign(payload, secret, { encrypt: true });
+            assert.notStrictEqual(token, other); // Random IV
+            const bytes = Base94Max.decode(token);
+            assert.ok(!Buffer.from(bytes).includes(Buffer.from('session')));
+            assert.deepStrictEqual(await Base94Max.token.verify(token, secret), { payload, encrypted: true });
+        });
+
+        it('should reject altered tokens and wrong keys', async () => {
+            const token = await Base94Max.token.sign(payload, secret, { encrypt: true });
+            const bytes = Base94Max.decode(token);
+            for (const index of [0, 1, 5, 20, bytes.length - 1]) {
+                const altered = bytes.slice();
+                altered[index] ^= 1;
+                const code = (await rejection(Base94Max.token.verify(Base94Max.encode(altered), secret))).code;
+                assert.ok(['INVALID_SIGNATURE', 'BAD_TOKEN'].includes(code), `byte ${index}: ${code}`);
+            }
+            assert.strictEqual((await rejection(Base94Max.token.verify(token, secret + '!'))).code, 'INVALID_SIGNATURE');
+            assert.strictEqual((await rejection(Base94Max.token.verify(token.slice(0, 10), secret))).code, 'BAD_TOKEN');
+            assert.strictEqual((await rejection(Base94Max.token.verify('E/6 rl!', secret))).code, 'BAD_TOKEN');
+            // A container that declares 2^40 bytes is rejected as it is, without being inflated first
+            const deflated = Base94Max.compress(new Uint8Array(16), 'deflate').subarray(5);
+            const bomb = Base94Max.encode(Uint8Array.of(0xF5, 0x94, 0x5A, 1, 0x80, 0x80, 0x80, 0x80, 0x80, 0x20, ...deflated));
+            assert.strictEqual(catchError(() => Base94Max.decode(bomb, Base94Max.PRINTABLE, { decompress: true })).code, 'DECOMPRESSION_LIMIT');
+            const error = await rejection(Base94Max.token.verify(bomb, secret));
+            assert.strictEqual(error.code, 'BAD_TOKEN');
+            assert.match(error.message, /unknown version/);
+            const container = Base94Max.compress(payload, 'deflate');
+            assert.deepStrictEqual((await Base94Max.token.verify(await Base94Max.token.sign(container, secret), secret)).payload, container);
+        });
+
+        it('should enforce the expiry after checking the signature', async () => {
+            const now = Date.UTC(2026, 0, 1);
+            const token = await Base94Max.token.sign(payload, secret, { expiresIn: 60, now });
+            const { expiresAt } = await Base94Max.token.verify(token, secret, { now: now + 59999 });
+            assert.deepStrictEqual(expiresAt, new Date(now + 60000));
+            const expired = await rejection(Base94Max.token.verify(token, secret, { now: now + 60000 }));
+            assert.strictEqual(expired.code, 'TOKEN_EXPIRED');
+            assert.match(expired.message, /2026-01-01T00:01:00/);
+            await Base94Max.token.verify(token, secret, { now: now + 60000, clockTolerance: 5 });
+            // A forged expiry fails the signature before it is looked at
+            assert.strictEqual((await rejection(Base94Max.token.verify(token, 'another secret of enough length', { now: now + 60000 }))).code, 'INVALID_SIGNATURE');
+            const at = await Base94Max.token.sign(payload, secret, { expiresAt: new Date(now) });
+            assert.strictEqual((await rejection(Base94Max.token.verify(at, secret))).code, 'TOKEN_EXPIRED');
+        });
+
+        it('should pick the key by key id from a keyring', async () => {
+            const keyring = { old: 'the old secret, rotated out', current: 'the current secret of 2026' };
+            const oldToken = await Base94Max.token.sign(payload, keyring.old, { keyId: 'old' });
+            const newToken = await Base94Max.token.sign(payload, keyring, { keyId: 'current', encrypt: true });
+            assert.strictEqual((await Base94Max.token.verify(oldToken, keyring)).keyId, 'old');
+            assert.deepStrictEqual(await Base94Max.token.verify(newToken, keyring), { payload, encrypted: true, keyId: 'current' });
+            assert.strictEqual((await rejection(Base94Max.token.verify(oldToken, { current: keyring.current }))).code, 'UNKNOWN_KEY');
+            assert.strictEqual((await rejection(Base94Max.token.verify(await Base94Max.token.sign(payload, secret), keyring))).code, 'UNKNOWN_KEY');
+            assert.strictEqual((await rejection(Base94Max.token.sign(payload, keyring, { keyId: 'missing' }))).code, 'UNKNOWN_KEY');
+        });
+
+        it('should validate keys and options', async () => {
+            assert.strictEqual((await rejection(Base94Max.token.sign(payload, 'short'))).code, 'INVALID_OPTION');
+            assert.strictEqual((await rejection(Base94Max.token.sign(payload, 42))).code, 'INVALID_OPTION');
+            assert.strictEqual((await rejection(Base94Max.token.sign(payload, secret, { keyId: '' }))).code, 'INVALID_OPTION');
+            assert.strictEqual((await rejection(Base94Max.token.sign(payload, secret, { expiresIn: 1, expiresAt: 1 }))).code, 'INVALID_OPTION');
+            assert.strictEqual((await rejection(Base94Max.token.sign(payload, secret, { expiresIn: -1 }))).code, 'INVALID_OPTION');
+            assert.strictEqual((await rejection(Base94Max.token.sign('text', secret))).code, 'INVALID_INPUT');
+            assert.strictEqual((await rejection(Base94Max.token.verify(42, secret))).code, 'INVALID_INPUT');
+        });
+    });
+
+    // --- Test 20: Bit-Granular Encoding ---
+    describe('encodeBits() / decodeBits()', () => {
+        const variants = [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, Base94Max.createVariant('01'), Base94Max.createVariant('012'), Base94Max.createVariant(Base94Max.PRINTABLE.encodeMap.slice(0, 85))];
+        const bit = (bytes, i) => (bytes[i >> 3] >> (i & 7)) & 1;
+
+        it('should round-trip every bit length', () => {
+            const random = randomBytesSeed('Base94MaxBitsSeed');
+            for (const variant of variants) {
+                for (let bitLength = 0; bitLength <= 130; bitLength++) {
+                    const data = random(Math.ceil(bitLength / 8) + 1);
+                    const { data: decoded, bitLength: decodedLength } = Base94Max.decodeBits(Base94Max.encodeBits(data, bitLength, variant), variant);
+                    assert.strictEqual(decodedLength, bitLength);
+                    assert.strictEqual(decoded.length, Math.ceil(bitLength / 8));
+                    for (let i = 0; i < decoded.length * 8; i++) {
+                        assert.strictEqual(bit(decoded, i), i < bitLength ? bit(data, i) : 0, `bit ${i} of ${bitLength}`);
+                    }
+                }
+            }
+        });
+
+        it('should emit only the symbols the bits need', () => {
+            const ones = new Uint8Array(5).fill(0xFF);
+            assert.strictEqual(Base94Max.encodeBits(ones, 37).length, 6);
+            assert.strictEqual(Base94Max.encode(ones).length, 7);
+            assert.strictEqual(Base94Max.encodeBits(new Uint8Array(0)), '"'); // Just the end marker
+            assert.strictEqual(Base94Max.encodeBits(new Uint8Array([0xF5]), 3), '.'); // 101 and the marker: 13
+            const data = randomBytesSeed('Base94MaxBitsSeed2')(100);
+            assert.strictEqual(Base94Max.encodeBits(data), Base94Max.encodeBits(data, 800));
+            // One marker bit more than the data: never more than one symbol longer than encode()
+            for (let length = 0; length < 40; length++) {
+                const bytes = data.subarray(0, length);
+                assert.ok(Base94Max.encodeBits(bytes).length - Base94Max.encode(bytes).length <= 1);
+            }
+        });
+
+        it('should accept exactly the strings encodeBits() produces', () => {
+            const variant = Base94Max.createVariant('0123');
+            const visit = (prefix, depth) => {
+                for (const char of variant.encodeMap) {
+                    const str = prefix + char;
+                    let decoded;
+                    try {
+                        decoded = Base94Max.decodeBits(str, variant);
+                    } catch (e) {
+                        assert.strictEqual(e.code, 'BAD_PADDING');
+                    }
+                    if (decoded) assert.strictEqual(Base94Max.encodeBits(decoded.data, decoded.bitLength, variant), str);
+                    if (depth > 1) visit(str, depth - 1);
+                }
+            };
+            visit('', 6);
+        });
+
+        it('should report invalid strings and options', () => {
+            assert.strictEqual(catchError(() => Base94Max.decodeBits('')).code, 'BAD_PADDING');
+            assert.strictEqual(catchError(() => Base94Max.decodeBits('!')).code, 'BAD_PADDING'); // No marker
+            assert.deepStrictEqual(catchError(() => Base94Max.decodeBits('.x.x!!')).position, 4); // Trailing zero pair
+            assert.strictEqual(catchError(() => Base94Max.decodeBits('.x.x.!')).code, 'BAD_PADDING'); // Pair for a single symbol
+            assert.deepStrictEqual([catchError(() => Base94Max.decodeBits('.x x')).code, catchError(() => Base94Max.decodeBits('.x x')).position], ['INVALID_CHAR', 2]);
+            assert.strictEqual(catchError(() => Base94Max.encodeBits(new Uint8Array(2), 17)).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.encodeBits(new Uint8Array(2), -1)).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.encodeBits(new Uint8Array(2), 1.5)).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.encodeBits('bits', 3)).code, 'INVALID_INPUT');
+            assert.deepStrictEqual(Base94Max.decodeBits(new TextEncoder().encode('.')), { data: new Uint8Array([5]), bitLength: 3 });
+        });
+    });
+
+    // --- Test 21: Integers ---
+    describe('encodeInt() / decodeInt()', () => {
+        const compare = (a, b) => (a < b ? -1 : (a > b ? 1 : 0));
+        const around = (bases) => [...new Set(bases.flatMap(base => [-3n, -2n, -1n, 0n, 1n, 2n, 3n].flatMap(d => [base + d, -(base + d)])))].sort(compare);
+        const boundaries = around([0n, 2n ** 32n, 2n ** 53n, 2n ** 63n, 2n ** 64n, 2n ** 128n]);
+        const optionSets = [];
+        for (const signed of [false, true]) {
+            for (const orderPreserving of [false, true]) {
+                for (const fixedWidth of [undefined, 10, 11, 21]) {
+                    optionSets.push({ signed, orderPreserving, fixedWidth });
+                }
+            }
+        }
+
+        it('should round-trip the values around 2^53 and 2^64 with every option', () => {
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, Base94Max.SHELL_SAFE, Base94Max.createVariant('0123456789')]) {
+                for (const options of optionSets) {
+                    const encoded = [];
+                    for (const value of boundaries) {
+                        if (value < 0n && !options.signed) {
+                            assert.strictEqual(catchError(() => Base94Max.encodeInt(value, { ...options, variant })).code, 'OUT_OF_RANGE');
+                            continue;
+                        }
+                        let str;
+                        try {
+                            str = Base94Max.encodeInt(value, { ...options, variant });
+                        } catch (e) {
+                            assert.strictEqual(e.code, 'OUT_OF_RANGE');
+                            assert.ok(options.fixedWidth !== undefined || variant.encodeMap.length < 94, `${value} ${JSON.stringify(options)}`);
+                            continue;
+                        }
+                        if (options.fixedWidth !== undefined) assert.strictEqual(str.length, options.fixedWidth);
+                        assert.strictEqual(Base94Max.decodeInt(str, { ...options, variant }), value, `${value} ${JSON.stringify(options)}`);
+                        encoded.push(str);
+                    }
+                    if (options.orderPreserving) {
+                        assert.deepStrictEqual([...encoded].sort(), encoded, JSON.stringify(options));
+                    }
+                }
+            }
+        });
+
+        it('should fit 64-bit and 128-bit values into the minimal width', () => {
+            assert.strictEqual(Base94Max.encodeInt(2n ** 64n - 1n), 'A33?&-jqQh');
+            assert.strictEqual(Base94Max.encodeInt(2n ** 64n - 1n, { fixedWidth: 10 }).length, 10);
+            assert.strictEqual(catchError(() => Base94Max.encodeInt(94n ** 10n, { fixedWidth: 10 })).code, 'OUT_OF_RANGE');
+            assert.strictEqual(Base94Max.encodeInt(94n ** 10n - 1n, { fixedWidth: 10 }), '~'.repeat(10));
+            assert.strictEqual(Base94Max.encodeInt(2n ** 128n - 1n).length, 20);
+            // int64 fits into 10 characters, signed and order-preserving
+            for (const value of [-(2n ** 63n), 2n ** 63n - 1n]) {
+                for (const orderPreserving of [false, true]) {
+                    const options = { signed: true, fixedWidth: 10, orderPreserving };
+                    assert.strictEqual(Base94Max.decodeInt(Base94Max.encodeInt(value, options), options), value);
+                }
+            }
+            assert.strictEqual(Base94Max.encodeInt(0), '!');
+            assert.strictEqual(Base94Max.encodeInt(93), '~');
+            assert.strictEqual(Base94Max.encodeInt(94), '"!');
+            assert.deepStrictEqual([-1, 0, 1].map(n => Base94Max.encodeInt(n, { signed: true })), ['"', '!', '#']); // Zigzag
+            assert.strictEqual(Base94Max.encodeInt(2 ** 53 - 1), Base94Max.encodeInt(2n ** 53n - 1n));
+        });
+
+        it('should sort like the numbers in a contiguous range', () => {
+            const variant = Base94Max.createVariant('q3Z8xA.w7~'); // Not in character code order
+            for (const options of optionSets.filter(options => options.orderPreserving)) {
+                const width = options.fixedWidth === undefined ? undefined : 6;
+                const values = [];
+                for (let n = options.signed ? -1000 : 0; n <= 1000; n++) values.push(n);
+                const encoded = values.map(n => Base94Max.encodeInt(n, { ...options, fixedWidth: width, variant }));
+                assert.deepStrictEqual([...encoded].sort(), encoded);
+                assert.deepStrictEqual(encoded.map(str => Base94Max.decodeInt(str, { ...options, fixedWidth: width, variant, output: 'number' })), values);
+            }
+        });
+
+        it('should accept exactly the strings encodeInt() produces', () => {
+            const variant = Base94Max.createVariant('0123');
+            for (const options of optionSets) {
+                const fixedWidth = options.fixedWidth === undefined ? undefined : 3;
+                const visit = (prefix, depth) => {
+                    for (const char of variant.encodeMap) {
+                        const str = prefix + char;
+                        let value;
+                        try {
+                            value = Base94Max.decodeInt(str, { ...options, fixedWidth, variant });
+                        } catch (e) {
+                            assert.ok(['LENGTH_MISMATCH', 'NON_CANONICAL'].includes(e.code), e.message);
+                        }
+                        if (value !== undefined) {
+                            assert.strictEqual(Base94Max.encodeInt(value, { ...options, fixedWidth, variant }), str, JSON.stringify(options));
+                        }
+                        if (depth > 1) visit(str, depth - 1);
+                    }
+                };
+                visit('', 5);
+            }
+        });
+
+        it('should report invalid input, options and ranges', () => {
+            assert.strictEqual(catchError(() => Base94Max.encodeInt(2 ** 53)).code, 'INVALID_INPUT');
+            assert.strictEqual(catchError(() => Base94Max.encodeInt(1.5)).code, 'INVALID_INPUT');
+            assert.strictEqual(catchError(() => Base94Max.encodeInt('7')).code, 'INVALID_INPUT');
+            assert.strictEqual(catchError(() => Base94Max.encodeInt(-1)).code, 'OUT_OF_RANGE');
+            assert.strictEqual(catchError(() => Base94Max.encodeInt(1, { fixedWidth: 0 })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.decodeInt('!', { output: 'string' })).code, 'INVALID_OPTION');
+            assert.strictEqual(Base94Max.decodeInt(Base94Max.encodeInt(2 ** 53 - 1), { output: 'number' }), 2 ** 53 - 1);
+            assert.strictEqual(catchError(() => Base94Max.decodeInt(Base94Max.encodeInt(2n ** 53n), { output: 'number' })).code, 'OUT_OF_RANGE');
+            const negative = Base94Max.encodeInt(-(2n ** 53n), { signed: true });
+            assert.strictEqual(catchError(() => Base94Max.decodeInt(negative, { signed: true, output: 'number' })).code, 'OUT_OF_RANGE');
+            assert.strictEqual(Base94Max.decodeInt(Base94Max.encodeInt(1 - 2 ** 53, { signed: true }), { signed: true, output: 'number' }), 1 - 2 ** 53);
+            assert.deepStrictEqual([catchError(() => Base94Max.decodeInt('!"')).code, catchError(() => Base94Max.decodeInt('!"')).position], ['NON_CANONICAL', 0]);
+            assert.deepStrictEqual([catchError(() => Base94Max.decodeInt('"\u00e9')).code, catchError(() => Base94Max.decodeInt('"\u00e9')).position], ['INVALID_CHAR', 1]);
+            assert.strictEqual(catchError(() => Base94Max.decodeInt('')).code, 'LENGTH_MISMATCH');
+            assert.strictEqual(catchError(() => Base94Max.decodeInt('!!!', { fixedWidth: 4 })).code, 'LENGTH_MISMATCH');
+            assert.strictEqual(catchError(() => Base94Max.decodeInt(42)).code, 'INVALID_INPUT');
+        });
+    });
+
+    // --- Test 22: Verified Lines ---
+    describe('verifiedLines encode/decode option', () => {
+        const data = Uint8Array.from({ length: 1000 }, (_, i) => (i * 131 + 7) & 0xFF);
+        // Replaces the character at `index` of `line` with another one of the alphabet.
+        const substitute = (lines, line, index, variant = Base94Max.PRINTABLE) => {
+            const chars = [...lines[line]];
+            const value = variant.decodeMap[chars[index].charCodeAt(0)];
+            chars[index] = variant.encodeMap[(value + 1) % variant.encodeMap.length];
+            lines[line] = chars.join('');
+        };
+
+        it('should round-trip with every variant, line length and repair level', () => {
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, Base94Max.XML_SAFE, Base94Max.SHELL_SAFE, Base94Max.createVariant('01')]) {
+                for (const [lineLength, repair] of [[76, 0], [40, 3], [13, 1]]) {
+                    for (const length of [0, 1, 99, 1000]) {
+                        const options = { verifiedLines: { lineLength, repair } };
+                        const encoded = Base94Max.encode(data.subarray(0, length), variant, options);
+                        assert.ok(encoded.split('\n').slice(1).every(line => line.length <= lineLength), JSON.stringify(options));
+                        assert.deepStrictEqual(Base94Max.decode(encoded, variant, { verifiedLines: true }), data.subarray(0, length));
+                    }
+                }
+            }
+            const encoded = Base94Max.encode(data, Base94Max.PRINTABLE, { verifiedLines: true, compress: 'deflate', lineEnding: '\r\n' });
+            assert.deepStrictEqual(Base94Max.decode(encoded + '\r\n', Base94Max.PRINTABLE, { verifiedLines: true, decompress: true }), data);
+        });
+
+        it('should name every damaged, swapped or missing line', () => {
+            const lines = Base94Max.encode(data, Base94Max.PRINTABLE, { verifiedLines: true }).split('\n');
+            substitute(lines, 2, 10);
+            substitute(lines, 7, 74); // A check digit
+            [lines[4], lines[5]] = [lines[5], lines[4]];
+            const error = catchError(() => Base94Max.decode(lines.join('\n'), Base94Max.PRINTABLE, { verifiedLines: true }));
+            assert.strictEqual(error.code, 'CORRUPT_LINES');
+            assert.deepStrictEqual(error.lines, [3, 5, 6, 8]);
+            assert.match(error.message, /lines 3, 5, 6, 8 damaged/);
+
+            const valid = Base94Max.encode(data, Base94Max.PRINTABLE, { verifiedLines: true }).split('\n');
+            assert.strictEqual(catchError(() => Base94Max.decode(valid.slice(0, -1).join('\n'), Base94Max.PRINTABLE, { verifiedLines: true })).code, 'LENGTH_MISMATCH');
+            substitute(valid, 0, 0);
+            assert.deepStrictEqual(catchError(() => Base94Max.decode(valid.join('\n'), Base94Max.PRINTABLE, { verifiedLines: true })).lines, [1]);
+            assert.deepStrictEqual(catchError(() => Base94Max.decode(Base94Max.encode(data), Base94Max.PRINTABLE, { verifiedLines: true })).lines, [1]);
+        });
+
+        it('should repair up to `repair` substituted characters anywhere after the header', () => {
+            const encoded = Base94Max.encode(data, Base94Max.PRINTABLE, { verifiedLines: { lineLength: 60, repair: 4 } });
+            const count = encoded.split('\n').length;
+            const damage = [[1, 0], [5, 30], [5, 59], [count - 1, 3]]; // Data, data, check digit and parity characters
+            for (let n = 1; n <= damage.length; n++) {
+                const lines = encoded.split('\n');
+                damage.slice(0, n).forEach(([line, index]) => substitute(lines, line, index));
+                let repaired;
+                const decoded = Base94Max.decode(lines.join('\n'), Base94Max.PRINTABLE, { verifiedLines: { onRepair: numbers => { repaired = numbers; } } });
+                assert.deepStrictEqual(decoded, data);
+                assert.deepStrictEqual(repaired, [...new Set(damage.slice(0, n).map(([line]) => line + 1))]);
+            }
+            const lines = encoded.split('\n');
+            for (let i = 0; i < 58; i++) substitute(lines, 3, i); // Too many for the interleaved codewords
+            const error = catchError(() => Base94Max.decode(lines.join('\n'), Base94Max.PRINTABLE, { verifiedLines: true }));
+            assert.strictEqual(error.code, 'CORRUPT_LINES');
+            assert.deepStrictEqual(error.lines, [4]);
+        });
+
+        it('should reject invalid options', () => {
+            for (const options of [
+                { verifiedLines: true, wrap: 20 },
+                { verifiedLines: true, lineEnding: ' ' },
+                { verifiedLines: { lineLength: 2 } },
+                { verifiedLines: { repair: 128 } },
+                { verifiedLines: { repair: 1.5 } }
+            ]) {
+                assert.strictEqual(catchError(() => Base94Max.encode(data, Base94Max.PRINTABLE, options)).code, 'INVALID_OPTION', JSON.stringify(options));
+            }
+            assert.strictEqual(catchError(() => new Base94Max.Encoder(Base94Max.PRINTABLE, { verifiedLines: true })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => new Base94Max.Decoder(Base94Max.PRINTABLE, { verifiedLines: true })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.decode('', Base94Max.PRINTABLE, { verifiedLines: { onRepair: 1 } })).code, 'INVALID_OPTION');
+        });
+    });
+
+    // --- Test 23: Source Code Literals ---
+    describe('toSourceLiteral()', () => {
+        const data = Uint8Array.from({ length: 500 }, (_, i) => (i * 97 + 13) & 0xFF);
+        const withControls = Base94Max.createVariant('\t?"\\abc\x7F');
+        // Reads back the chunks of a C, Python or Rust literal.
+        const unescape = (literal) => [...literal.matchAll(/"((?:[^"\\]|\\.)*)"/g)]
+            .map(([, chunk]) => chunk.replace(/\\(x[0-9a-f]{2}|[0-7]{3}|.)/g, (_, escape) => {
+                if (escape[0] === 'x') return String.fromCharCode(parseInt(escape.slice(1), 16));
+                return escape.length === 3 ? String.fromCharCode(parseInt(escape, 8)) : escape;
+            }))
+            .join('');
+
+        it('should produce JavaScript literals that evaluate to the encoded string', () => {
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, withControls]) {
+                for (const language of ['js', 'ts']) {
+                    const literal = Base94Max.toSourceLiteral(data, { language, variant, lineLength: 40 });
+                    assert.strictEqual(vm.runInNewContext(literal), Base94Max.encode(data, variant));
+                    assert.ok(literal.split('\n').every(line => line.replace(/^ {4}| \+$/g, '').length <= 40), literal);
+                }
+            }
+            assert.strictEqual(Base94Max.toSourceLiteral(new TextEncoder().encode('Hello')), '"E/6*rl!"');
+            assert.strictEqual(Base94Max.toSourceLiteral(new Uint8Array(0), { language: 'rust' }), '""');
+        });
+
+        it('should escape and concatenate for C, Python and Rust', () => {
+            for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE, withControls]) {
+                const encoded = Base94Max.encode(data, variant);
+                const c = Base94Max.toSourceLiteral(data, { language: 'c', variant, lineLength: 30 });
+                assert.strictEqual(unescape(c), encoded);
+                assert.doesNotMatch(c.replaceAll('\\\\', ''), /(^|[^\\])\?|\\x/); // No trigraphs, no greedy hex escapes
+                const python = Base94Max.toSourceLiteral(data, { language: 'python', variant, lineLength: 30 });
+                assert.strictEqual(unescape(python), encoded);
+                assert.match(python, /^\(\n {4}"[^]*"\n\)$/);
+                const rust = Base94Max.toSourceLiteral(data, { language: 'rust', variant, lineLength: 30 });
+                assert.strictEqual(unescape(rust), encoded);
+                assert.match(rust, /^concat!\(\n {4}"[^]*",\n\)$/);
+            }
+            assert.strictEqual(Base94Max.toSourceLiteral(Uint8Array.of(0xF5, 0x94, 0x5A), { language: 'c', variant: Base94Max.JSON_DELETE }),
+                JSON.stringify(Base94Max.encode(Uint8Array.of(0xF5, 0x94, 0x5A), Base94Max.JSON_DELETE)).replace('\x7F', '\\177'));
+        });
+
+        it('should reject invalid options', () => {
+            assert.strictEqual(catchError(() => Base94Max.toSourceLiteral(data, { language: 'go' })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.toSourceLiteral(data, { language: 'toString' })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.toSourceLiteral(data, { lineLength: 5 })).code, 'INVALID_OPTION');
+            assert.strictEqual(catchError(() => Base94Max.toSourceLiteral('text')).code, 'INVALID_INPUT');
+        });
+    });
+
 });
@@ -0,0 +1,446 @@
+// test/cli.test.js
+import assert from 'assert';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Base94Max from '../index.js';
+
+const cliPath = fileURLToPath(new URL('../bin/base94.js', import.meta.url));
+
+// Runs the CLI with the given arguments and stdin, returning the raw result.
+function runCli(args, input) {
+    return spawnSync(process.execPath, [cliPath, ...args], { input });
+}
+
+describe('base94 CLI', function () {
+    this.timeout(10000); // Each test spawns several Node.js processes
+
+    describe('--decode', () => {
+        const bytes = new Uint8Array(Array.from({length: 256}, (_, i) => i));
+
+        it('should round trip binary data for both modes', () => {
+            for (const mode of ['printable', 'json-delete', 'xml-safe', 'shell-safe']) {
+                const encoded = runCli(['--charset', 'bin', '--mode', mode], bytes);
+                assert.strictEqual(encoded.status, 0);
+                const decoded = runCli(['-d', '--charset', 'bin', '--mode', mode], encoded.stdout);
+                assert.strictEqual(decoded.status, 0);
+                assert.deepStrictEqual(new Uint8Array(decoded.stdout), bytes, `mode ${mode}`);
+            }
+        });
+
+        it('should decode UTF-8 text and ignore the trailing newline', () => {
+            const text = "你好世界 Base94Max 😊✅";
+            const decoded = runCli(['--decode'], Base94Max.encodeText(text) + '\n');
+            assert.strictEqual(decoded.status, 0);
+            assert.strictEqual(decoded.stdout.toString('utf8'), text);
+        });
+
+        it('should exit non-zero and report the position of an invalid character', () => {
+            const decoded = runCli(['-d'], 'E/6 rl!');
+            assert.notStrictEqual(decoded.status, 0);
+            assert.match(decoded.stderr.toString(), /position 3/);
+        });
+    });
+
+    describe('file arguments and --output', () => {
+        let dir;
+        beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'base94-cli-')); });
+        afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+        it('should concatenate input files and stdin ("-") in order', () => {
+            const first = path.join(dir, 'first.bin');
+            fs.writeFileSync(first, Buffer.from([0, 1, 2, 255]));
+            const result = runCli(['-c', 'bin', first, '-'], Buffer.from([3, 4]));
+            assert.strictEqual(result.status, 0);
+            assert.strictEqual(result.stdout.toString('latin1'), Base94Max.encode(new Uint8Array([0, 1, 2, 255, 3, 4])) + '\n');
+        });
+
+        it('should stream a multi-chunk file through encode and decode with -o', () => {
+            const input = path.join(dir, 'input.bin');
+            const encoded = path.join(dir, 'input.b94');
+            const output = path.join(dir, 'output.bin');
+            const data = Buffer.from(Array.from({length: 200000}, (_, i) => (i * 31 + (i >> 8)) % 256));
+            fs.writeFileSync(input, data);
+            assert.strictEqual(runCli(['-c', 'bin', '-m', 'json-delete', input, '-o', encoded]).status, 0);
+            assert.strictEqual(fs.readFileSync(encoded, 'latin1'), Base94Max.encode(data, Base94Max.JSON_DELETE) + '\n');
+            assert.strictEqual(runCli(['-d', '-c', 'bin', '-m', 'json-delete', encoded, '--output', output]).status, 0);
+            assert.deepStrictEqual(fs.readFileSync(output), data);
+        });
+
+        it('should fail for a missing input file', () => {
+            const result = runCli([path.join(dir, 'missing.bin')]);
+            assert.notStrictEqual(result.status, 0);
+            assert.match(result.stderr.toString(), /ENOENT/);
+        });
+    });
+
+    describe('--wrap / --ignore-garbage', () => {
+        it('should wrap encoded output and decode it again', () => {
+            const bytes = Buffer.from(Array.from({length: 300}, (_, i) => (i * 37) % 256));
+            const encoded = runCli(['-c', 'bin', '--wrap', '50'], bytes);
+            assert.strictEqual(encoded.status, 0);
+            const lines = encoded.stdout.toString('latin1').split('\n');
+            assert(lines.slice(0, -2).every(line => line.length === 50));
+            assert.strictEqual(runCli(['-d', '-c', 'bin'], encoded.stdout).status, 1);
+            const decoded = runCli(['-d', '-c', 'bin', '--ignore-garbage'], encoded.stdout);
+            assert.strictEqual(decoded.status, 0);
+            assert.deepStrictEqual(decoded.stdout, bytes);
+        });
+    });
+
+    describe('--armor', () => {
+        it('should write an armored block and verify it on decode', () => {
+            const armored = runCli(['--armor', '--checksum', 'sha256', '-m', 'json-delete'], 'Hello armor');
+            assert.strictEqual(armored.status, 0);
+            assert.match(armored.stdout.toString(), /^-----BEGIN BASE94MAX-----\nVariant: json-delete\nLength: 11\n/);
+            const decoded = runCli(['-d', '--armor'], armored.stdout);
+            assert.strictEqual(decoded.status, 0);
+            assert.strictEqual(decoded.stdout.toString(), 'Hello armor');
+
+            const tampered = runCli(['-d', '--armor'], armored.stdout.toString().replace('Length: 11', 'Length: 12'));
+            assert.notStrictEqual(tampered.status, 0);
+            assert.match(tampered.stderr.toString(), /length mismatch/);
+        });
+    });
+
+    describe('--compress', () => {
+        it('should compress on encode and inflate on decode with --decompress', () => {
+            const text = 'repeated log line\n'.repeat(1000);
+            const plain = runCli([], text);
+            for (const method of ['gzip', 'brotli', 'auto']) {
+                const encoded = runCli(['--compress', method], text);
+                assert.strictEqual(encoded.status, 0);
+                assert.ok(encoded.stdout.length < plain.stdout.length / 10);
+                const decoded = runCli(['-d', '--decompress'], encoded.stdout);
+                assert.strictEqual(decoded.status, 0);
+                assert.strictEqual(decoded.stdout.toString(), text);
+            }
+            const armored = runCli(['--armor', '--compress', 'deflate'], text);
+            assert.strictEqual(runCli(['-d', '--armor', '--decompress'], armored.stdout).stdout.toString(), text);
+        });
+
+        it('should decompress exactly once with --armor and --verified-lines', () => {
+            const text = 'framed and compressed\n'.repeat(100);
+            // Input that is itself a container must come back as that container, not inflated twice
+            const container = Base94Max.compress(new TextEncoder().encode(text), 'gzip');
+            for (const framing of ['--armor', '--verified-lines']) {
+                const encoded = runCli([framing, '--compress', 'deflate'], text);
+                assert.strictEqual(encoded.status, 0);
+                assert.strictEqual(runCli(['-d', framing, '--decompress'], encoded.stdout).stdout.toString(), text);
+                const raw = runCli(['-d', framing, '-c', 'bin'], encoded.stdout);
+                assert.deepStrictEqual(new Uint8Array(raw.stdout), Base94Max.compress(new TextEncoder().encode(text), 'deflate'));
+                const nested = runCli([framing, '-c', 'bin', '--compress', 'brotli'], container);
+                assert.deepStrictEqual(new Uint8Array(runCli(['-d', framing, '-c', 'bin', '--decompress'], nested.stdout).stdout), container);
+            }
+        });
+
+        it('should fail --decompress on input that was not compressed', () => {
+            const result = runCli(['-d', '--decompress'], Base94Max.encodeText('plain'));
+            assert.strictEqual(result.status, 1);
+            assert.match(result.stderr.toString(), /container marker is missing/);
+        });
+
+        it('should pass data that starts with the compression marker through unchanged', () => {
+            const bytes = new Uint8Array([0xF5, 0x94, 0x5A, 3, 4, 5]);
+            const encoded = runCli(['--charset', 'bin'], bytes);
+            assert.strictEqual(encoded.stdout.toString().trim(), Base94Max.encode(bytes));
+            const decoded = runCli(['-d', '--charset', 'bin'], encoded.stdout);
+            assert.deepStrictEqual(new Uint8Array(decoded.stdout), bytes);
+            const lines = runCli(['-d', '--lines', '--charset', 'bin'], runCli(['--lines', '--charset', 'bin'], bytes).stdout);
+            assert.deepStrictEqual(new Uint8Array(lines.stdout), new Uint8Array([...bytes, 0x0A]));
+        });
+    });
+
+    describe('--check / --detect', () => {
+        it('should exit 0 for valid input and 1 for invalid input with --check', () => {
+            const encoded = Base94Max.encodeText('check me') + '\n';
+            const valid = runCli(['--check'], encoded);
+            assert.strictEqual(valid.status, 0);
+            assert.strictEqual(valid.stdout.length, 0);
+            const invalid = runCli(['--check', '-m', 'shell-safe'], encoded);
+            assert.strictEqual(invalid.status, 1);
+            assert.match(invalid.stderr.toString(), /position/);
+            assert.strictEqual(runCli(['--check'], 'E/6*rl!~\n').status, 1); // Bad padding
+        });
+
+        it('should print the matching variants, most likely first, with --detect', () => {
+            const shellSafe = Base94Max.encodeText('detect me', Base94Max.SHELL_SAFE) + '\n';
+            assert.deepStrictEqual(runCli(['--detect'], shellSafe).stdout.toString().split('\n').filter(Boolean)[0], 'shell-safe');
+            const withSpace = Base94Max.encode(new Uint8Array(Array.from({ length: 256 }, (_, i) => i)), Base94Max.JSON_DELETE);
+            assert.ok(withSpace.includes(' '));
+            const detected = runCli(['--detect'], withSpace);
+            assert.strictEqual(detected.status, 0);
+            assert.strictEqual(detected.stdout.toString(), 'json-delete\n');
+            assert.strictEqual(runCli(['--detect'], 'not\u00e9base94').status, 1);
+        });
+    });
+
+    describe('--from / --to', () => {
+        it('should transcode between encodings', () => {
+            assert.strictEqual(runCli(['--from', 'base64', '--to', 'base94max'], 'SGVsbG8=\n').stdout.toString(), 'E/6*rl!\n');
+            const jsonDelete = runCli(['--from', 'hex', '--to', 'base94max', '-m', 'json-delete'], '00ff10\n');
+            assert.strictEqual(jsonDelete.stdout.toString(), Base94Max.encode(new Uint8Array([0, 255, 16]), Base94Max.JSON_DELETE) + '\n');
+            assert.strictEqual(runCli(['--to', 'hex', '-c', 'bin'], new Uint8Array([1, 2])).stdout.toString(), '0102\n');
+            assert.deepStrictEqual(new Uint8Array(runCli(['--from', 'z85'], 'HelloWorld\n').stdout),
+                new Uint8Array([0x86, 0x4F, 0xD2, 0x6F, 0xB5, 0x59, 0xF7, 0x5B]));
+        });
+
+        it('should report invalid input and unknown codecs', () => {
+            const invalid = runCli(['--from', 'base64', '--to', 'hex'], 'SGV!\n');
+            assert.strictEqual(invalid.status, 1);
+            assert.match(invalid.stderr.toString(), /position 3/);
+            assert.strictEqual(runCli(['--from', 'base32'], '').status, 1);
+        });
+    });
+
+    describe('--stats', () => {
+        it('should print the analysis as a table or as JSON', () => {
+            const bytes = new Uint8Array(Array.from({ length: 300 }, (_, i) => (i * 37) & 0xFF));
+            const json = runCli(['--stats', '--json', '-c', 'bin', '-m', 'json-delete'], bytes);
+            assert.strictEqual(json.status, 0);
+            assert.deepStrictEqual(JSON.parse(json.stdout.toString()), Base94Max.analyze(bytes, Base94Max.JSON_DELETE));
+            const table = runCli(['--stats', '-c', 'bin'], bytes).stdout.toString();
+            const stats = Base94Max.analyze(bytes);
+            assert.match(table, new RegExp(`^Encoded length +${stats.encodedLength}$`, 'm'));
+            assert.match(table, new RegExp(`^13-bit blocks +${stats.narrowBlocks}$`, 'm'));
+            assert.match(table, /^Base64 length +400 \(Base94Max is [\d.]+% shorter\)$/m);
+        });
+
+        it('should analyze the compressed payload with --compress', () => {
+            const text = 'abc'.repeat(1000);
+            const stats = JSON.parse(runCli(['--stats', '--json', '--compress', 'deflate'], text).stdout.toString());
+            assert.strictEqual(stats.byteLength, Base94Max.compress(new TextEncoder().encode(text), 'deflate').length);
+        });
+    });
+
+    describe('--split / --join', () => {
+        const bytes = new Uint8Array(Array.from({ length: 2000 }, (_, i) => (i * 131 + 7) & 0xFF));
+
+        it('should write parts one per line and join them in any order', () => {
+            const split = runCli(['--split', '120', '-c', 'bin', '-m', 'xml-safe'], bytes);
+            assert.strictEqual(split.status, 0);
+            const lines = split.stdout.toString().split('\n').filter(Boolean);
+            assert.ok(lines.length > 10 && lines.every(line => line.length <= 120));
+            const shuffled = [...lines].reverse().concat(lines[3], '').join('\r\n');
+            const joined = runCli(['--join', '-c', 'bin', '-m', 'xml-safe'], shuffled);
+            assert.strictEqual(joined.status, 0);
+            assert.deepStrictEqual(new Uint8Array(joined.stdout), bytes);
+        });
+
+        it('should report missing parts and the line of an invalid part', () => {
+            const lines = runCli(['--split', '120', '-c', 'bin'], bytes).stdout.toString().split('\n').filter(Boolean);
+            const missing = runCli(['--join', '-c', 'bin'], lines.filter((_, i) => i !== 4).join('\n'));
+            assert.strictEqual(missing.status, 1);
+            assert.match(missing.stderr.toString(), /missing parts 4 of/);
+            const invalid = runCli(['--join', '-c', 'bin'], [lines[0], lines[1], 'E/6 rl!'].join('\n'));
+            assert.strictEqual(invalid.status, 1);
+            assert.match(invalid.stderr.toString(), /line 3: .*position 3/);
+        });
+    });
+
+    describe('--lines / --ndjson', () => {
+        it('should encode and decode every line on its own', () => {
+            const lines = ['first record', '', 'dritter Datensatz ✓', 'last'];
+            const encoded = runCli(['--lines', '-m', 'xml-safe'], lines.join('\r\n'));
+            assert.strictEqual(encoded.status, 0);
+            assert.strictEqual(encoded.stdout.toString(), lines.map(line => Base94Max.encodeText(line, Base94Max.XML_SAFE) + '\n').join(''));
+            const decoded = runCli(['-d', '--lines', '-m', 'xml-safe'], encoded.stdout);
+            assert.strictEqual(decoded.stdout.toString(), lines.join('\n') + '\n');
+            const binary = runCli(['--lines', '-c', 'bin', '--compress', 'deflate'], 'a'.repeat(500) + '\n');
+            assert.strictEqual(runCli(['-d', '--lines', '-c', 'bin', '--decompress'], binary.stdout).stdout.toString(), 'a'.repeat(500) + '\n');
+        });
+
+        it('should report the line of an invalid record, or skip it with --skip-invalid', () => {
+            const input = [Base94Max.encodeText('one'), 'E/6 rl!', Base94Max.encodeText('three')].join('\n');
+            const stopped = runCli(['-d', '--lines'], input);
+            assert.strictEqual(stopped.status, 1);
+            assert.strictEqual(stopped.stdout.toString(), 'one\n');
+            assert.match(stopped.stderr.toString(), /line 2: Invalid character in Base94Max string at position 3/);
+            const skipped = runCli(['-d', '--lines', '--skip-invalid'], input);
+            assert.strictEqual(skipped.status, 0);
+            assert.strictEqual(skipped.stdout.toString(), 'one\nthree\n');
+            assert.match(skipped.stderr.toString(), /^Skipped line 2: .*position 3/);
+        });
+
+        it('should rewrite only the selected NDJSON field', () => {
+            const records = [
+                { id: 1, payload: { data: 'héllo wörld' } },
+                { id: 2 },
+                { id: 3, payload: { data: '' } }
+            ];
+            const input = records.map(record => JSON.stringify(record)).join('\n') + '\n\n';
+            const encoded = runCli(['--ndjson', '--field', 'payload.data', '-m', 'json-delete'], input);
+            assert.strictEqual(encoded.status, 0);
+            const lines = encoded.stdout.toString().split('\n');
+            assert.deepStrictEqual(JSON.parse(lines[0]), { id: 1, payload: { data: Base94Max.encodeText('héllo wörld', Base94Max.JSON_DELETE) } });
+            assert.strictEqual(lines[1], '{"id":2}');
+            assert.strictEqual(lines[3], '');
+            const decoded = runCli(['-d', '--ndjson', '--field', 'payload.data', '-m', 'json-delete'], encoded.stdout);
+            assert.strictEqual(decoded.stdout.toString(), input);
+        });
+
+        it('should change nothing but the field, keeping numbers and layout exactly', () => {
+            const flat = '{"id":12345678901234567890,"v":1.0,"msg":"hi"}';
+            const spaced = '{ "msg" : "a\\"b" , "n": [1e400, -0.0], "msg": "last" }'; // The last duplicate wins
+            const input = flat + '\n' + spaced + '\n';
+            const encoded = runCli(['--ndjson', '--field', 'msg'], input);
+            assert.strictEqual(encoded.status, 0);
+            assert.strictEqual(encoded.stdout.toString(), [
+                `{"id":12345678901234567890,"v":1.0,"msg":${JSON.stringify(Base94Max.encodeText('hi'))}}`,
+                `{ "msg" : "a\\"b" , "n": [1e400, -0.0], "msg": ${JSON.stringify(Base94Max.encodeText('last'))} }`
+            ].join('\n') + '\n');
+            assert.strictEqual(runCli(['-d', '--ndjson', '--field', 'msg'], encoded.stdout).stdout.toString(), input);
+            const nested = '{"items":[{"msg":1},{"msg":"x"}],"msg":{"msg":"inner"}}';
+            assert.strictEqual(runCli(['--ndjson', '--field', 'items.1.msg'], nested).stdout.toString(),
+                `{"items":[{"msg":1},{"msg":${JSON.stringify(Base94Max.encodeText('x'))}}],"msg":{"msg":"inner"}}\n`);
+            assert.strictEqual(runCli(['--ndjson', '--field', 'msg.msg'], nested).stdout.toString(),
+                `{"items":[{"msg":1},{"msg":"x"}],"msg":{"msg":${JSON.stringify(Base94Max.encodeText('inner'))}}}\n`);
+        });
+
+        it('should report invalid NDJSON records', () => {
+            const input = ['{"data":"E/6*rl!"}', 'not json', '{"data":5}', '{"data":"E/6 rl!"}', '{"data":"E/6*rl!"}'].join('\n');
+            const result = runCli(['-d', '--ndjson', '--field', 'data', '--skip-invalid'], input);
+            assert.strictEqual(result.status, 0);
+            assert.strictEqual(result.stdout.toString(), '{"data":"Hello"}\n{"data":"Hello"}\n');
+            const errors = result.stderr.toString().trim().split('\n');
+            assert.strictEqual(errors.length, 3);
+            assert.match(errors[0], /line 2: Invalid JSON/);
+            assert.match(errors[1], /line 3: Field data is not a string/);
+            assert.match(errors[2], /line 4: .*position 3/);
+            assert.strictEqual(runCli(['--ndjson'], '{}').status, 1);
+        });
+    });
+
+    describe('--verified-lines', () => {
+        const text = 'Verified lines name every damaged line. '.repeat(20);
+
+        it('should write verified lines of --wrap characters and read them back', () => {
+            const encoded = runCli(['--verified-lines', '-w', '40', '-m', 'shell-safe'], text);
+            assert.strictEqual(encoded.status, 0);
+            const output = encoded.stdout.toString();
+            assert.strictEqual(output, Base94Max.encodeText(text, Base94Max.SHELL_SAFE, { verifiedLines: { lineLength: 40 } }) + '\n');
+            assert.strictEqual(runCli(['-d', '--verified-lines', '-m', 'shell-safe'], output).stdout.toString(), text);
+        });
+
+        it('should name damaged lines, and repair them with --repair', () => {
+            const damage = (output) => {
+                const lines = output.toString().split('\n');
+                lines[2] = (lines[2][0] === 'A' ? 'B' : 'A') + lines[2].slice(1);
+                return lines.join('\n');
+            };
+            const plain = runCli(['-d', '--verified-lines'], damage(runCli(['--verified-lines'], text).stdout));
+            assert.strictEqual(plain.status, 1);
+            assert.match(plain.stderr.toString(), /line 3 damaged/);
+            const repaired = runCli(['-d', '--verified-lines'], damage(runCli(['--verified-lines', '--repair', '2'], text).stdout));
+            assert.strictEqual(repaired.status, 0);
+            assert.strictEqual(repaired.stdout.toString(), text);
+            assert.match(repaired.stderr.toString(), /^Repaired line 3\./);
+            assert.strictEqual(runCli(['--repair', '2'], text).status, 1);
+        });
+    });
+
+    describe('--emit', () => {
+        const bytes = Uint8Array.from({ length: 300 }, (_, i) => (i * 31) & 0xFF);
+
+        it('should write a JavaScript module that exports the decoded bytes', async () => {
+            const result = runCli(['--emit', 'js', '-c', 'bin', '-m', 'json-delete', '--compress', 'deflate', '-w', '50'], bytes);
+            assert.strictEqual(result.status, 0);
+            const source = result.stdout.toString();
+            assert.match(source, /^import Base94Max from 'base94max';$/m);
+            assert.ok(source.split('\n').every(line => line.length <= 60));
+            const indexUrl = new URL('../index.js', import.meta.url).href;
+            const module = await import('data:text/javascript,' + encodeURIComponent(source.replace("'base94max'", `'${indexUrl}'`)));
+            assert.deepStrictEqual(module.default, bytes);
+        });
+
+        it('should write a typed TypeScript module', () => {
+            const literal = Base94Max.toSourceLiteral(new TextEncoder().encode('héllo'), { language: 'ts', variant: Base94Max.XML_SAFE });
+            assert.strictEqual(runCli(['--emit', 'ts', '-m', 'xml-safe'], 'héllo').stdout.toString(),
+                `// Generated by base94 --emit ts\nimport Base94Max from 'base94max';\n\nconst data: Uint8Array = Base94Max.decode(\n    ${literal},\n    Base94Max.XML_SAFE\n);\nexport default data;\n`);
+            assert.strictEqual(runCli(['--emit', 'go'], 'hi').status, 1);
+        });
+
+        describe('C, Python and Rust', () => {
+            let dir;
+            beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'base94-emit-')); });
+            afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+            // Writes the emitted source for every variant, then builds and runs it with `run`, which returns the bytes it printed
+            function checkDecoder(test, language, tool, run) {
+                if (spawnSync(tool, ['--version']).error) test.skip(); // The compiler or interpreter is not installed
+                for (const mode of ['printable', 'json-delete', 'xml-safe', 'shell-safe']) {
+                    const result = runCli(['--emit', language, '-c', 'bin', '-m', mode, '-w', '40'], bytes);
+                    assert.strictEqual(result.status, 0);
+                    assert.deepStrictEqual(new Uint8Array(run(result.stdout.toString())), bytes, `${language} ${mode}`);
+                }
+            }
+
+            it('should decode the C literal with base94max_decode()', function () {
+                checkDecoder(this, 'c', 'cc', (source) => {
+                    fs.writeFileSync(path.join(dir, 'data.c'), source + '#include <stdio.h>\nint main(void) {\n' +
+                        '    static unsigned char out[BASE94MAX_DATA_LENGTH];\n    fwrite(out, 1, base94max_decode(out), stdout);\n    return 0;\n}\n');
+                    const build = spawnSync('cc', ['-std=c99', '-Wall', '-Werror', '-o', path.join(dir, 'data'), path.join(dir, 'data.c')]);
+                    assert.strictEqual(build.status, 0, build.stderr.toString());
+                    return spawnSync(path.join(dir, 'data')).stdout;
+                });
+            });
+
+            it('should decode the Python literal into BASE94MAX_BYTES on import', function () {
+                checkDecoder(this, 'python', 'python3', (source) => {
+                    fs.writeFileSync(path.join(dir, 'data.py'), source);
+                    return spawnSync('python3', ['-B', '-c', 'import sys, data; sys.stdout.buffer.write(data.BASE94MAX_BYTES)'], { cwd: dir }).stdout;
+                });
+            });
+
+            it('should decode the Rust literal into BASE94MAX_BYTES at compile time', function () {
+                this.timeout(60000);
+                checkDecoder(this, 'rust', 'rustc', (source) => {
+                    fs.writeFileSync(path.join(dir, 'data.rs'), source + 'fn main() {\n    use std::io::Write;\n    std::io::stdout().write_all(&BASE94MAX_BYTES).unwrap();\n}\n');
+                    const build = spawnSync('rustc', ['-D', 'warnings', '-o', path.join(dir, 'data'), path.join(dir, 'data.rs')]);
+                    assert.strictEqual(build.status, 0, build.stderr.toString());
+                    return spawnSync(path.join(dir, 'data')).stdout;
+                });
+            });
+
+            it('should refuse --compress, which only js and ts can undo', () => {
+                const result = runCli(['--emit', 'python', '--compress', 'deflate'], 'hi');
+                assert.strictEqual(result.status, 1);
+                assert.match(result.stderr.toString(), /--emit python cannot use --compress/);
+            });
+        });
+    });
+
+    describe('conflicting options', () => {
+        it('should reject flags that do not go together instead of ignoring one', () => {
+            const cases = [
+                [['--split', '50', '--emit', 'js'], /--split cannot be combined with --emit/],
+                [['--armor', '--verified-lines'], /--armor cannot be combined with --verified-lines/],
+                [['--split', '50', '--decode'], /--split cannot be combined with --decode/],
+                [['--stats', '--check'], /--stats cannot be combined with --check/],
+                [['--detect', '--from', 'hex'], /--from\/--to cannot be combined with --detect/],
+                [['-d', '--wrap', '20'], /--wrap only applies when encoding/],
+                [['--split', '50', '--wrap', '20'], /--wrap only applies when encoding/],
+                [['-d', '--compress', 'gzip'], /--compress only applies when encoding/],
+                [['--decompress'], /--decompress needs --decode, --check or --join/],
+                [['--ignore-garbage'], /--ignore-garbage needs --decode/],
+                [['--json'], /--json needs --stats/],
+                [['--lines', '--armor'], /--lines cannot be combined with --armor/],
+                [['--ndjson', '--field', 'f', '--verified-lines'], /--ndjson cannot be combined with --verified-lines/],
+                [['--lines', '--ndjson', '--field', 'f'], /--lines cannot be combined with --ndjson/],
+                [['--lines', '--wrap', '20'], /--wrap only applies when encoding/],
+                [['-d', '--lines', '--compress', 'gzip'], /--compress only applies when encoding/],
+                [['--lines', '--check'], /--lines cannot be combined with --check/],
+                [['--skip-invalid'], /--skip-invalid needs --lines or --ndjson/],
+                [['--lines', '--field', 'f'], /--field needs --ndjson/]
+            ];
+            for (const [args, message] of cases) {
+                const result = runCli(args, 'hi');
+                assert.strictEqual(result.status, 1, args.join(' '));
+                assert.match(result.stderr.toString(), message);
+                assert.strictEqual(result.stdout.length, 0);
+            }
+        });
+    });
+});
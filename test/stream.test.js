@@ -0,0 +1,61 @@
+// test/stream.test.js
+import assert from 'assert';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import randomBytesSeed from 'random-bytes-seed';
+import Base94Max from '../index.js';
+import { createEncodeStream, createDecodeStream } from '../stream.js';
+
+// Collects all chunks of a readable stream into one Buffer.
+async function collect(readable) {
+    const chunks = [];
+    for await (const chunk of readable) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+describe('Node.js stream adapters', () => {
+    const data = randomBytesSeed('Base94MaxNodeStreamSeed')(5000);
+
+    // Emits the data in uneven chunks so that splits land everywhere.
+    function chunked(input, sizes) {
+        const chunks = [];
+        for (let i = 0, n = 0; i < input.length; n++) {
+            const size = sizes[n % sizes.length];
+            chunks.push(input.subarray(i, i + size));
+            i += size;
+        }
+        return Readable.from(chunks);
+    }
+
+    it('should encode identically to Base94Max.encode()', async () => {
+        for (const variant of [Base94Max.PRINTABLE, Base94Max.JSON_DELETE]) {
+            const encoded = await collect(chunked(data, [1, 7, 64, 3]).pipe(createEncodeStream(variant)));
+            assert.strictEqual(encoded.toString('latin1'), Base94Max.encode(data, variant));
+        }
+    });
+
+    it('should pass data that starts with the compression marker through unchanged', async () => {
+        for (const bytes of [Buffer.from([0xF5, 0x94, 0x5A, 1, 2, 3]), Buffer.from([0xF5, 0x94, 0x5A, 0, 9, 9])]) {
+            const encoded = await collect(chunked(bytes, [2, 1]).pipe(createEncodeStream()));
+            assert.strictEqual(encoded.toString('latin1'), Base94Max.encode(bytes));
+            assert.deepStrictEqual(await collect(chunked(encoded, [3, 1]).pipe(createDecodeStream())), bytes);
+        }
+    });
+
+    it('should round trip through encode and decode streams', async () => {
+        const encoded = await collect(chunked(data, [13, 1, 200]).pipe(createEncodeStream(Base94Max.JSON_DELETE)));
+        const decoded = await collect(chunked(encoded, [1, 2, 333]).pipe(createDecodeStream(Base94Max.JSON_DELETE)));
+        assert.deepStrictEqual(decoded, data);
+    });
+
+    it('should fail the pipeline on invalid input', async () => {
+        await assert.rejects(
+            pipeline(Readable.from([Buffer.from('E/6* rl!')]), createDecodeStream(), async function* (source) {
+                for await (const chunk of source) yield chunk;
+            }),
+            /Invalid character.*position 4/
+        );
+    });
+});